@@ -356,7 +356,18 @@ function rebuildAndRenderEditorRoads() {
   const markings = [];
   const edgeLines = [];
   const laneWidth = 3.5; // meters
-  // Use projectors from index.js (based on header lat0/lon0 when present)\n  let toLocal = (p)=>p, toWgs = (p)=>p;\n  try {\n    const pr = (window.editorGetProjectors && window.editorGetProjectors());\n    if (pr && pr.toLocal && pr.toWgs) { toLocal = pr.toLocal; toWgs = pr.toWgs; }\n    else {\n      toLocal = ([lng,lat]) => { try { return proj4('WGS84','LOCAL_TAN',[lng,lat]); } catch { return [lng,lat]; } };\n      toWgs = ([x,y]) => { try { return proj4('LOCAL_TAN','WGS84',[x,y]); } catch { return [x,y]; } };\n    }\n  } catch {}\n\n  function samplesFromLineCoords(coords, step=0.7) {(coords, step=0.7) {
+  // Use projectors from index.js (based on header lat0/lon0 when present)
+  let toLocal = (p)=>p, toWgs = (p)=>p;
+  try {
+    const pr = (window.editorGetProjectors && window.editorGetProjectors());
+    if (pr && pr.toLocal && pr.toWgs) { toLocal = pr.toLocal; toWgs = pr.toWgs; }
+    else {
+      toLocal = ([lng,lat]) => { try { return proj4('WGS84','LOCAL_TAN',[lng,lat]); } catch { return [lng,lat]; } };
+      toWgs = ([x,y]) => { try { return proj4('LOCAL_TAN','WGS84',[x,y]); } catch { return [x,y]; } };
+    }
+  } catch {}
+
+  function samplesFromLineCoords(coords, step=0.7) {
     const pts = [];
     if (!coords || coords.length<2) return pts;
     let sCum = 0;
@@ -1236,16 +1247,56 @@ function __ed_buildXodr() {
     roads.push(`<road id=\"${++rid}\" name=\"${name}\" length=\"${lengthAttr}\">\n${planView}\n${lanes}\n</road>`);
   }
   // Embed editable axes in userData for round-trip
+  const userData = `<userData>\n  <editorAxes><![CDATA[${editorAxesJson()}]]></editorAxes>\n</userData>`;
+  const xml = `<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n<OpenDRIVE>\n${header}\n${userData}\n${roads.join('\n')}\n</OpenDRIVE>`;
+  return xml;
+}
+
+// Editable axes as stored in <userData><editorAxes>
+function editorAxesJson() {
   const axesBlob = [];
   for (const [id, f] of roadsById.entries()) {
     const coords = (f.geometry?.coordinates||[]).map(c=>[c[0],c[1]]);
     const rounding = roundingByAxis.get(id) || {};
     axesBlob.push({ id, coords, rounding });
   }
-  const userData = `<userData>\n  <editorAxes><![CDATA[${JSON.stringify(axesBlob)}]]></editorAxes>\n</userData>`;
-  const xml = `<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n<OpenDRIVE>\n${header}\n${userData}\n${roads.join('\n')}\n</OpenDRIVE>`;
-  return xml;
+  return JSON.stringify(axesBlob);
+}
+
+// Axes + rounding as captured at the last import; export keeps the original file while unchanged
+let ingestedAxesSignature = null;
+const ingestedAxes = new Map(); // axisId -> axisSignature at import
+const axisRoadIds = new Map(); // axisId -> id of the road whose centerline it was ingested from
+function axisSignature(id) {
+  return JSON.stringify([roadsById.get(id)?.geometry?.coordinates || [], roundingByAxis.get(id) || {}]);
+}
+function axesSignature() {
+  const parts = [];
+  for (const [id, f] of roadsById.entries()) parts.push([id, f.geometry?.coordinates || [], roundingByAxis.get(id) || {}]);
+  return JSON.stringify(parts);
+}
+function captureIngestedAxes() {
+  ingestedAxes.clear();
+  for (const id of roadsById.keys()) ingestedAxes.set(id, axisSignature(id));
+  ingestedAxesSignature = axesSignature();
+}
+window.EditorHasEdits = function EditorHasEdits(){ return ingestedAxesSignature !== null && axesSignature() !== ingestedAxesSignature; }
+
+// Axes changed or drawn since the last import, smoothed, in lng/lat: [{ id, roadId, parts }].
+// An axis ingested from a road's centerline keeps that road (roadId, one part); others are split
+// at intersections like __ed_buildXodr does. index.js writes them into the model's road records.
+window.EditorEditedAxes = function EditorEditedAxes(){
+  const out = [];
+  for (const [id, f] of roadsById.entries()) {
+    if (ingestedAxes.get(id) === axisSignature(id)) continue;
+    const smooth = smoothAxisCoords(f);
+    const roadId = axisRoadIds.get(id);
+    const parts = roadId != null ? [smooth] : splitAxisByIntersections(f, smooth);
+    out.push({ id, roadId, parts: parts.filter(p => p && p.length >= 2) });
+  }
+  return out;
 }
+window.EditorAxesJson = function EditorAxesJson(){ return editorAxesJson(); }
 
 window.EditorExportXodr = function EditorExportXodr(){ try { return __ed_buildXodr(); } catch(e){ console.warn('EditorExportXodr failed', e); return ''; } }
 
@@ -1253,7 +1304,7 @@ window.editorIngestFromCenterlines = function editorIngestFromCenterlines(center
   try {
     console.log('[editor] ingest from centerlines');
     try { ensureSources(); } catch {}
-    roadsById.clear(); importedAxisIds.clear();
+    roadsById.clear(); importedAxisIds.clear(); axisRoadIds.clear();
     const importedNames = [];
     let n=0;
     for (const f of (centerFC?.features||[])) {
@@ -1264,6 +1315,7 @@ window.editorIngestFromCenterlines = function editorIngestFromCenterlines(center
       roadsById.set(id, { type:'Feature', id, properties:{ id }, geometry:{ type:'LineString', coordinates: coords } });
       // default rounding = 1 for all internal vertices
       const kv = {}; for (let i=1;i<coords.length-1;i++) kv[i]=1; roundingByAxis.set(id, kv);
+      if (f.properties?.roadId != null) axisRoadIds.set(id, f.properties.roadId);
       importedAxisIds.add(id); importedNames.push(id);
     }
     rebuildIndex();
@@ -1272,6 +1324,7 @@ window.editorIngestFromCenterlines = function editorIngestFromCenterlines(center
     setActiveHandles([]);
     try { if (mode!=='draw') { activeId=null; selectedVertexIdx=-1; setHoverVisible(true); } } catch {}
     try { rebuildAndRenderEditorRoads(); } catch {}
+    captureIngestedAxes();
     console.log('[editor] ingest from centerlines: axes=', roadsById.size);
     try { if (window.filterBaseXodrForEditor) window.filterBaseXodrForEditor(importedNames); } catch {}
     // focus map on editable axes
@@ -1280,7 +1333,7 @@ window.editorIngestFromCenterlines = function editorIngestFromCenterlines(center
       if (feats.length) {
         const bb = turf.bbox({ type:'FeatureCollection', features: feats });
         const sw = { lng: bb[0], lat: bb[1] }, ne = { lng: bb[2], lat: bb[3] };
-        map.fitBounds([sw, ne], { padding: 40, duration: 0 });
+        map.fitBounds([sw, ne], { padding: 40, duration: 0 }, { xodrLoadFit: true }); // no quality rebuild (index.js)
       }
     } catch {}
   } catch(e){ console.warn('editorIngestFromCenterlines failed', e); }
@@ -1291,7 +1344,7 @@ window.editorIngestEditorAxes = function editorIngestEditorAxes(data){
   try {
     console.log('[editor] ingest editorAxes payload');
     try { ensureSources(); } catch {}
-    roadsById.clear(); roundingByAxis.clear(); importedAxisIds.clear();
+    roadsById.clear(); roundingByAxis.clear(); importedAxisIds.clear(); axisRoadIds.clear();
     const importedNames = [];
     for (const rec of (data||[])) {
       if (!rec || !Array.isArray(rec.coords)) continue;
@@ -1308,6 +1361,7 @@ window.editorIngestEditorAxes = function editorIngestEditorAxes(data){
     try { if (mode!=='draw') { activeId=null; selectedVertexIdx=-1; setHoverVisible(true); } } catch {}
     try { rebuildAndRenderEditorRoads(); } catch {}
     try { enterSelectMode(); } catch {}
+    captureIngestedAxes();
     console.log('[editor] ingest editorAxes: axes=', roadsById.size);
     try { if (window.filterBaseXodrForEditor) window.filterBaseXodrForEditor(importedNames); } catch {}
     // focus map on editable axes
@@ -1316,7 +1370,7 @@ window.editorIngestEditorAxes = function editorIngestEditorAxes(data){
       if (feats.length) {
         const bb = turf.bbox({ type:'FeatureCollection', features: feats });
         const sw = { lng: bb[0], lat: bb[1] }, ne = { lng: bb[2], lat: bb[3] };
-        map.fitBounds([sw, ne], { padding: 40, duration: 0 });
+        map.fitBounds([sw, ne], { padding: 40, duration: 0 }, { xodrLoadFit: true }); // no quality rebuild (index.js)
       }
     } catch {}
   } catch(e){ console.warn('editorIngestEditorAxes failed', e); }
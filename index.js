@@ -1,21 +1,16 @@
-import { parseOpenDrive, laneWidthAt } from './xodr/opendrive.js';
-import {
-  sampleGeometrySequence,
-  offsetPolyline,
-  toLineString,
-  toPolygon,
-  fc,
-} from './xodr/geometry.js';
+import { parseOpenDrive } from './xodr/opendrive.js';
+import { fc } from './xodr/geometry.js';
+import { buildGeometry, createGeometryCache, mergeRoadGeometry } from './xodr/build.js';
+import { markModified, serializeOpenDrive } from './xodr/writer.js';
+import { makeGeoTransform } from './xodr/georef.js';
+import { createCoordinateService } from './xodr/coords.js';
 
 // Provide editor with projectors (WGS84 <-> local meters) based on current model header if present
 window.editorGetProjectors = function editorGetProjectors() {
   try {
-    const lat0 = (currentModel && currentModel.header && currentModel.header.lat0) ?? centerLat;
-    const lon0 = (currentModel && currentModel.header && currentModel.header.lon0) ?? centerLon;
-    const projDef = +proj=tmerc +lat_0={lat0} +lon_0={lon0} +k=1 +x_0=0 +y_0=0 +ellps=WGS84 +units=m +no_defs;
-    const LOCAL_ED = proj4(projDef);
-    const toLocal = (lnglat) => { try { return proj4('WGS84', LOCAL_ED, lnglat); } catch { return lnglat; } };
-    const toWgs = (xy) => { try { return proj4(LOCAL_ED, 'WGS84', xy); } catch { return xy; } };
+    const geo = makeGeoTransform(currentModel && currentModel.header, CENTER_LONLAT);
+    const toLocal = (lnglat) => { try { return geo.toLocal(lnglat); } catch { return lnglat; } };
+    const toWgs = (xy) => { try { return geo.toLngLat(xy); } catch { return xy; } };
     return { toLocal, toWgs };
   } catch {
     const toLocal = (lnglat) => lnglat;
@@ -66,18 +61,18 @@ proj4.defs("LOCAL_TAN", localProj);
 const WGS84 = proj4("WGS84");
 const LOCAL = proj4("LOCAL_TAN");
 
-// Build a projector for OpenDRIVE local coordinates using header lat_0/lon_0 if provided
-function makeProjector(lat0, lon0) {
-  const projDef = `+proj=tmerc +lat_0=${lat0 ?? centerLat} +lon_0=${lon0 ?? centerLon} +k=1 +x_0=0 +y_0=0 +ellps=WGS84 +units=m +no_defs`;
-  const LOCAL_ODR = proj4(projDef);
+// Build a projector for OpenDRIVE local coordinates from the header (geoReference, offset)
+function makeProjector(header) {
+  const geo = makeGeoTransform(header, CENTER_LONLAT);
   return function odrXYtoLngLat([x, y]) {
-    return proj4(LOCAL_ODR, WGS84, [x, y]);
+    return geo.toLngLat([x, y]);
   };
 }
 
 // Global state
 let currentModel = null;
 let currentGeo = null;
+let coordService = null; // road s/t lookups for the current model (see xodr/coords.js)
 let mapLoaded = false;
 let lastXodrText = '';
 
@@ -90,17 +85,52 @@ const QUALITY_PRESETS = {
   high:   { step: 0.5,  maxAngle: 0.03 },  // высокая
   ultra:  { step: 0.25, maxAngle: 0.015 }, // супер высокая
 };
-let qualityPreset = 'normal';
-function getQualityOptions() {
-  return QUALITY_PRESETS[qualityPreset] || QUALITY_PRESETS.normal;
+// 'auto' picks the preset from the map zoom; a named preset is a manual override
+const QUALITY_BY_ZOOM = [[14, 'poor'], [16, 'normal'], [18, 'high'], [Infinity, 'ultra']]; // [below zoom, preset]
+let qualityPreset = 'auto';
+function activeQuality() {
+  if (qualityPreset !== 'auto') return qualityPreset;
+  const z = map.getZoom();
+  return QUALITY_BY_ZOOM.find(([below]) => z < below)[1];
 }
+function getQualityOptions(quality = activeQuality()) {
+  return QUALITY_PRESETS[quality] || QUALITY_PRESETS.normal;
+}
+// Geometry of the current model per preset, so zooming back and forth swaps instead of rebuilding
+const geoByQuality = new Map();
+let currentQuality = null;
 
 map.on('load', () => {
   mapLoaded = true;
   ensureLayers();
-  if (currentGeo) updateSources(currentGeo);
+  if (currentGeo) updateSources(withEditorOverlay(currentGeo));
+});
+
+// fits that come with a newly loaded file are tagged { xodrLoadFit: true }: the file was just built,
+// so it keeps its preset until the user zooms instead of being re-parsed straight away
+map.on('zoomend', (e) => {
+  if (e && e.xodrLoadFit) return;
+  if (qualityPreset === 'auto') applyQualityLevel();
 });
 
+// Show the current model at the active preset: a cached build, or a background rebuild
+function applyQualityLevel() {
+  if (!currentModel || !currentModel.source) return;
+  if (loadJob && loadJob.initial) return; // the file is still loading
+  const quality = activeQuality();
+  if (quality === currentQuality) { if (loadJob) cancelLoad(); return; }
+  const cached = geoByQuality.get(quality);
+  if (cached) {
+    cancelLoad();
+    currentGeo = cached;
+    currentQuality = quality;
+    if (mapLoaded) { ensureLayers(); updateSources(withEditorOverlay(cached)); }
+    return;
+  }
+  if (loadJob && loadJob.quality === quality) return;
+  buildInBackground(currentModel.source.text, false, quality);
+}
+
 // Wire UI
 window.addEventListener('DOMContentLoaded', () => {
   document.getElementById('importXodr').addEventListener('click', () => {
@@ -118,9 +148,18 @@ window.addEventListener('DOMContentLoaded', () => {
     inp.click();
   });
   document.getElementById('exportXodr').addEventListener('click', () => {
-    // Prefer editor-generated XODR if available
+    // Loaded file round-trips with the editor's axis edits written into its road records; a file
+    // recovered from XML errors cannot be spliced, so edits to it are exported as the editor's own XODR
     let text = '';
-    try { if (window.EditorExportXodr) text = window.EditorExportXodr(); } catch {}
+    let edited = false;
+    try { edited = !!(window.EditorHasEdits && window.EditorHasEdits()); } catch {}
+    if (currentModel && currentModel.source && !(edited && currentModel.source.recovered)) {
+      try {
+        text = serializeOpenDrive(withEditorEdits(currentModel));
+        if (edited && window.EditorAxesJson) text = replaceEditorAxes(text, window.EditorAxesJson());
+      } catch (e) { console.warn('[export] failed', e); text = ''; }
+    }
+    try { if (!text && window.EditorExportXodr) text = window.EditorExportXodr(); } catch {}
     if (!text) text = lastXodrText || '';
     const blob = new Blob([text], { type: 'application/xml' });
     const url = URL.createObjectURL(blob);
@@ -154,18 +193,26 @@ window.addEventListener('DOMContentLoaded', () => {
     loadXodr(text);
   });
 
+  // Lane coloring: laneType or speed limit
+  const lcm = document.getElementById('laneColorMode');
+  if (lcm) {
+    lcm.addEventListener('change', () => setLaneColorMode(lcm.value));
+  }
+
+  // Lane travel-direction arrows on/off
+  const lat = document.getElementById('laneArrows');
+  if (lat) {
+    setLaneArrowsVisible(lat.checked);
+    lat.addEventListener('change', () => setLaneArrowsVisible(lat.checked));
+  }
+
   // Quality preset selector
   const qp = document.getElementById('qualityPreset');
   if (qp) {
     const applyQuality = () => {
       const val = (qp.value || '').toLowerCase();
-      qualityPreset = QUALITY_PRESETS[val] ? val : 'normal';
-      if (currentModel) {
-        const projector = makeProjector(currentModel.header.lat0, currentModel.header.lon0);
-        const geo = buildGeometry(currentModel, projector, getQualityOptions());
-        currentGeo = geo;
-        if (mapLoaded) updateSources(geo);
-      }
+      qualityPreset = QUALITY_PRESETS[val] ? val : 'auto';
+      applyQualityLevel();
     };
     applyQuality();
     qp.addEventListener('change', applyQuality);
@@ -173,799 +220,579 @@ window.addEventListener('DOMContentLoaded', () => {
 
   // Editor UI wired in editor.js
 
+  const cancelBtn = document.getElementById('loadCancel');
+  if (cancelBtn) cancelBtn.addEventListener('click', () => cancelLoad());
+
   // Try to load bundled test.xodr automatically
-  const AUTO_LOAD_XODR = false; // disable auto-loading heavy sample to reduce lag
+  const AUTO_LOAD_XODR = true; // the sample parses and builds in xodr/worker.js, so the page stays responsive
   if (AUTO_LOAD_XODR) {
     fetch('test.xodr').then(r => r.text()).then(t => { lastXodrText = t; loadXodr(t); }).catch(() => {});
   }
 });
 
 function loadXodr(xmlText) {
-  try {
-    const model = parseOpenDrive(xmlText);
-    currentModel = model;
-    const projector = makeProjector(model.header.lat0, model.header.lon0);
-    const geo = buildGeometry(model, projector, getQualityOptions());
-    currentGeo = geo;
-    if (mapLoaded) {
-      ensureLayers();
-      updateSources(geo);
-    }
-    // Prefer embedded editor axes if present in userData; otherwise, ingest from centerlines
-    let ingested = false;
-    try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(xmlText, 'application/xml');
-      const ed = doc.querySelector('OpenDRIVE > userData > editorAxes');
-      if (ed) {
-        const raw = (ed.textContent || '').trim();
-        if (raw) {
-          const data = JSON.parse(raw);
-          if (Array.isArray(data)) {
-            if (window.editorIngestEditorAxes) { window.editorIngestEditorAxes(data); ingested = true; }
-            else {
-              // Defer until editor module is ready
-              window.__EDITOR_AXES_BUFFER = data;
-              if (!window.__EDITOR_AXES_WAIT) {
-                window.__EDITOR_AXES_WAIT = setInterval(() => {
-                  try {
-                    if (window.editorIngestEditorAxes && window.__EDITOR_AXES_BUFFER) {
-                      window.editorIngestEditorAxes(window.__EDITOR_AXES_BUFFER);
-                      window.__EDITOR_AXES_BUFFER = null;
-                      clearInterval(window.__EDITOR_AXES_WAIT);
-                      window.__EDITOR_AXES_WAIT = null;
-                    }
-                  } catch {}
-                }, 50);
-              }
-              ingested = true; // we'll ingest shortly
-            }
-          }
-        }
-      }
-    } catch (e) { console.warn('[loadXodr] userData.editorAxes parse failed', e); }
-    if (!ingested) {
-      try { if (window.editorIngestFromCenterlines) window.editorIngestFromCenterlines(geo.centerlines); } catch {}
-    }
-    if (geo.bounds) {
-      map.fitBounds(geo.bounds, { padding: 40, duration: 0 });
-    }
-  } catch (e) {
-    alert('Failed to parse OpenDRIVE: ' + e.message);
-    console.error(e);
-  }
+  scheduleValidation(xmlText);
+  buildInBackground(xmlText, true);
 }
 
-function buildGeometry(model, projector, opts) {
-  const centerFeatures = [];
-  const laneFeatures = [];
-  const markingFeatures = [];
-  const sidewalkFeatures = [];
-  const edgeFeatures = [];
-  let __uid = 0;
-  const nextId = (prefix) => `${prefix}_${++__uid}`;
-
-  let minx = +Infinity, miny = +Infinity, maxx = -Infinity, maxy = -Infinity;
-
-  for (const road of model.roads) {
-    if (!road.planView || road.planView.length === 0) continue;
-
-    // Build required s-positions along road for straight segments
-    const enforceS = new Set();
-    enforceS.add(0);
-    if (Number.isFinite(road.length)) enforceS.add(road.length);
-    // planView boundaries
-    for (const g of (road.planView || [])) {
-      const s0 = Number(g.s) || 0;
-      const Lg = Number(g.length) || 0;
-      enforceS.add(s0);
-      if (Lg > 0) enforceS.add(s0 + Lg);
-    }
-    // laneSections and width records
-    for (const ls of (road.laneSections || [])) {
-      const secS = Number(ls.s) || 0;
-      enforceS.add(secS);
-      const pushWidths = (arr) => {
-        for (const ln of (arr || [])) {
-          const widths = ln.widths || [];
-          widths.forEach(w => enforceS.add(secS + (Number(w.sOffset) || 0)));
-        }
-      };
-      pushWidths(ls.left); pushWidths(ls.right);
-    }
-    // laneOffsets (carriageway lateral offset polylines)
-    for (const lo of (road.laneOffsets || [])) {
-      enforceS.add(Number(lo.s) || 0);
-    }
-
-    // Subdivide width and laneOffset intervals using slope-aware step to capture curvature when center is straight
-    const factorStep = opts?.step ?? 0.6;
-    const widthDSMax = Math.max(0.5, Math.min(25, factorStep * 12));
-    // Сделаем ограничение угла для кривых ширины ближе к плановым кривым, чтобы детализация была однородной
-    const widthAngleBound = Math.min(0.08, Math.max(0.01, (opts?.maxAngle ?? 0.03)));
-    const addSubdiv = (s0, s1, ds) => {
-      if (!(s1 > s0)) return;
-      let t = s0 + ds;
-      while (t < s1 - 1e-6) { enforceS.add(t); t += ds; }
-    };
-    const maxAbs = (vals) => vals.reduce((m,v)=>Math.max(m, Math.abs(v)), 0);
-    const dsFromSlope = (maxSlope) => {
-      if (!(maxSlope > 1e-9)) return widthDSMax;
-      const byAngle = widthAngleBound / maxSlope;
-      return Math.max(0.5, Math.min(widthDSMax, byAngle));
-    };
-    // For each section and lane width piece
-    for (const ls of (road.laneSections || [])) {
-      const secS = Number(ls.s) || 0;
-      const secEnd = (function(){
-        // next section start or road end
-        const next = (road.laneSections || []).map(x=>x.s||0).filter(s=>s>secS).sort((a,b)=>a-b)[0];
-        return Number.isFinite(next) ? next : (road.length||0);
-      })();
-      const handleSide = (arr) => {
-        for (const ln of (arr || [])) {
-          const ws = (ln.widths || []).slice().sort((a,b)=>(a.sOffset||0)-(b.sOffset||0));
-          for (let i=0;i<ws.length;i++){
-            const a = ws[i];
-            const sStart = secS + (Number(a.sOffset)||0);
-            const sEnd = (i+1<ws.length) ? (secS + (Number(ws[i+1].sOffset)||0)) : secEnd;
-            // slope of width poly3 over local ds in [0, D]
-            const D = Math.max(0, sEnd - sStart);
-            const b = Number(a.b)||0, c = Number(a.c)||0, d = Number(a.d)||0;
-            // m(ds) = b + 2c*ds + 3d*ds^2; check endpoints and critical point ds* = -c/(3d)
-            const candidates = [0, D];
-            if (Math.abs(d) > 1e-12) {
-              const dsc = -c / (3*d);
-              if (dsc > 0 && dsc < D) candidates.push(dsc);
-            }
-            const slopes = candidates.map(ds => b + 2*c*ds + 3*d*ds*ds);
-            const maxSlope = maxAbs(slopes);
-            const ds = dsFromSlope(maxSlope);
-            addSubdiv(sStart, sEnd, ds);
-          }
-        }
-      };
-      handleSide(ls.left); handleSide(ls.right);
-    }
-    // Subdivide laneOffset intervals
-    const los = (road.laneOffsets || []).slice().sort((a,b)=>(a.s||0)-(b.s||0));
-    for (let i=0;i<los.length;i++){
-      const rec = los[i];
-      const s0 = Number(rec.s)||0;
-      const s1 = (i+1<los.length) ? (Number(los[i+1].s)||0) : (road.length||0);
-      const D = Math.max(0, s1 - s0);
-      const b = Number(rec.b)||0, c = Number(rec.c)||0, d = Number(rec.d)||0;
-      const candidates = [0, D];
-      if (Math.abs(d) > 1e-12) {
-        const dsc = -c / (3*d);
-        if (dsc > 0 && dsc < D) candidates.push(dsc);
-      }
-      const slopes = candidates.map(ds => b + 2*c*ds + 3*d*ds*ds);
-      const maxSlope = maxAbs(slopes);
-      const ds = dsFromSlope(maxSlope);
-      addSubdiv(s0, s1, ds);
-    }
-
-    const ticks = Array.from(enforceS).filter(Number.isFinite).sort((a,b)=>a-b);
-
-    let samples = sampleGeometrySequence(road.planView, { step: opts?.step ?? 0.6, maxAngle: opts?.maxAngle ?? 0.03, forceS: ticks });
-    // Build simplified centerline samples: compress straight segments to endpoints
-    const centerSamples = simplifyCenterlineSamples(samples, road.planView);
-    if (samples.length < 2) continue;
-
-    // bounds in local xy
-    for (const [x, y] of samples) {
-      if (x < minx) minx = x; if (y < miny) miny = y; if (x > maxx) maxx = x; if (y > maxy) maxy = y;
-    }
-
-    centerFeatures.push(toLineString(centerSamples, projector));
-
-    // lanes: compute per-s sample offsets for each lane id on both sides
-    // enrich samples: enforce points at laneSection boundaries and width sOffsets to preserve exact joins
-    // ensure samples include exact tick points on curves too (interpolate/insert)
-    if (ticks.length) {
-      const sIdx = samples.map(p=>p[3]);
-      const out = [samples[0]];
-      for (let i=1;i<samples.length;i++){
-        const s0 = sIdx[i-1], s1 = sIdx[i];
-        const p0 = samples[i-1], p1 = samples[i];
-        // insert any ticks strictly between s0 and s1
-        for (const t of ticks) {
-          if (t > s0 + 1e-9 && t < s1 - 1e-9) {
-            const tt = (t - s0) / (s1 - s0);
-            out.push(interpPoint(p0, p1, tt));
-          }
-        }
-        out.push(p1);
-      }
-      samples = out.sort((a,b)=>a[3]-b[3]);
-    }
+// ===== Background parsing and geometry (xodr/worker.js) =====
+let loadWorker = null;
+let loadJob = null; // { id, initial, quality }
+let loadSeq = 0;
 
-    const sIndex = samples.map((p) => p[3]);
+function getLoadWorker() {
+  if (loadWorker) return loadWorker;
+  try { loadWorker = new Worker(new URL('./xodr/worker.js', import.meta.url), { type: 'module' }); }
+  catch (e) { console.warn('[load] worker unavailable, building on the main thread', e); loadWorker = null; }
+  return loadWorker;
+}
 
-    function sectionAt(s) {
-      // choose last laneSection with s <= s
-      let sec = road.laneSections[0] || null;
-      for (const ls of road.laneSections) {
-        if (s + 1e-9 >= (ls.s || 0)) sec = ls;
+// initial: a newly loaded file (stream roads onto the map, ingest editor axes, fit the view);
+// otherwise a rebuild of the current model (quality change) that replaces the geometry when done
+function buildInBackground(xmlText, initial, quality = activeQuality()) {
+  cancelLoad();
+  const worker = getLoadWorker();
+  if (!worker) { buildOnMainThread(xmlText, initial, quality); return; }
+  const id = ++loadSeq;
+  loadJob = { id, initial, quality };
+  const parts = [];
+  let lastPaint = 0;
+  showLoadProgress({ phase: 'parse', done: 0, total: 1 });
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (!loadJob || msg.id !== id) return;
+    if (msg.type === 'progress') {
+      showLoadProgress(msg);
+    } else if (msg.type === 'roads') {
+      parts.push(...msg.parts);
+      const now = performance.now();
+      if (initial && mapLoaded && now - lastPaint > 250) {
+        lastPaint = now;
+        ensureLayers();
+        updateSources(withEditorOverlay({ ...mergeRoadGeometry(parts), issues: fc() }));
       }
-      return sec;
-    }
-
-    function laneOffsetAt(s) {
-      const arr = road.laneOffsets || [];
-      if (!arr.length) return 0;
-      let rec = arr[0];
-      for (const r of arr) { if (s + 1e-9 >= (r.s||0)) rec = r; }
-      const ds = s - (rec.s || 0);
-      return rec.a + rec.b * ds + rec.c * ds * ds + rec.d * ds * ds * ds;
+    } else if (msg.type === 'done') {
+      loadJob = null;
+      showLoadProgress(null);
+      const model = msg.model;
+      model.source = { text: xmlText, doc: null, recovered: !!msg.recovered };
+      const geo = { ...mergeRoadGeometry(parts), issues: msg.issues, intersection: msg.intersection, bounds: msg.bounds };
+      finishLoad(model, geo, initial ? msg.editorAxes : undefined, quality);
+    } else if (msg.type === 'error') {
+      loadJob = null;
+      showLoadProgress(null);
+      alert('Failed to parse OpenDRIVE: ' + msg.message);
     }
+  };
+  // the worker script itself failed (e.g. its imports could not be fetched): fall back
+  worker.onerror = (e) => {
+    e.preventDefault();
+    console.warn('[load] worker failed, building on the main thread', e.message);
+    if (loadWorker) loadWorker.terminate();
+    loadWorker = null;
+    if (loadJob && loadJob.id === id) { loadJob = null; showLoadProgress(null); buildOnMainThread(xmlText, initial, quality); }
+  };
+  worker.postMessage({ type: 'load', id, text: xmlText, opts: getQualityOptions(quality), origin: CENTER_LONLAT });
+}
 
-    // Build offsets using CubicSpline sums and lane tracks
+// Stop a running load; a cancelled initial load removes the roads drawn so far. The worker
+// stays up so its per-road geometry cache carries over to the next build.
+function cancelLoad() {
+  if (!loadJob) return;
+  const { id, initial } = loadJob;
+  loadJob = null;
+  if (loadWorker) loadWorker.postMessage({ type: 'cancel', id });
+  showLoadProgress(null);
+  if (initial) clearSources();
+}
 
-    const EPS = 0.005; // meters; threshold where lane is considered vanished (smaller to avoid visible wedges)
-    const sectionBounds = (road.laneSections || []).map(ls => ls.s || 0).filter(s => s>0).sort((a,b)=>a-b);
+// Per-road geometry kept across main-thread builds (the worker has its own)
+const roadGeometryCache = createGeometryCache();
 
-    function interpPoint(p1, p2, t) {
-      const x = p1[0] + (p2[0] - p1[0]) * t;
-      const y = p1[1] + (p2[1] - p1[1]) * t;
-      const th = p1[2] + (p2[2] - p1[2]) * t;
-      const s = p1[3] + (p2[3] - p1[3]) * t;
-      return [x, y, th, s];
+function buildOnMainThread(xmlText, initial, quality = activeQuality()) {
+  try {
+    const model = parseOpenDrive(xmlText);
+    const geo = buildGeometry(model, makeProjector(model.header), getQualityOptions(quality), roadGeometryCache);
+    let editorAxes;
+    if (initial) {
+      const ed = model.source.doc.querySelector('OpenDRIVE > userData > editorAxes');
+      editorAxes = ed ? (ed.textContent || '').trim() : null;
     }
-
-  function laneTypeAt(side, laneId, s) {
-    const sec = sectionAt(s);
-    const ln = (sec?.[side] || []).find(l => l.id === laneId);
-    return ln ? (ln.type || 'none') : 'none';
+    finishLoad(model, geo, editorAxes, quality);
+  } catch (e) {
+    alert('Failed to parse OpenDRIVE: ' + e.message);
+    console.error(e);
   }
+}
 
-    // Find active roadMark for a lane at absolute s along road
-    function roadMarkAt(side, laneId, s) {
-      const sec = sectionAt(s);
-      if (!sec) return null;
-      const ln = (sec?.[side] || []).find(l => l.id === laneId);
-      if (!ln || !ln.roadMarks || ln.roadMarks.length === 0) return null;
-      const sIn = s - (sec?.s || 0);
-      let rec = null;
-      for (const rm of ln.roadMarks) {
-        if (sIn + 1e-9 >= (rm.sOffset || 0)) rec = rm;
-      }
-      return rec;
-    }
-
-    function computeOffsets(side, laneId, s, secOverride) {
-      const sec = secOverride || sectionAt(s);
-      const widths = (sec?.[side] || []).map((ln) => ({ id: ln.id, widths: ln.widths }));
-      const thisLane = widths.find(w => w.id === laneId);
-      const wCur = laneWidthAt(thisLane?.widths || [], s - (sec?.s || 0));
-      let outer = laneOffsetAt(s);
-      if (side === 'left') {
-        for (const ln of widths) {
-          const w = laneWidthAt(ln.widths, s - (sec?.s || 0));
-          if (ln.id <= laneId) outer += w;
-        }
-        return { wCur, outer, inner: outer - wCur };
-      } else {
-        const sorted = widths.slice().sort((a,b)=>a.id-b.id);
-        for (const ln of sorted) {
-          const w = laneWidthAt(ln.widths, s - (sec?.s || 0));
-          if (ln.id >= laneId) outer -= w;
-        }
-        return { wCur, outer, inner: outer + wCur };
-      }
-    }
+function showLoadProgress(p) {
+  const box = document.getElementById('loadProgress');
+  if (!box) return;
+  box.style.display = p ? '' : 'none';
+  if (!p) return;
+  const bar = document.getElementById('loadProgressBar');
+  const label = document.getElementById('loadProgressText');
+  if (p.phase === 'parse') {
+    if (bar) bar.removeAttribute('value'); // indeterminate
+    if (label) label.textContent = 'Parsing…';
+  } else {
+    if (bar) { bar.max = Math.max(1, p.total); bar.value = p.done; }
+    if (label) label.textContent = `Roads ${p.done}/${p.total}`;
+  }
+}
 
-    function buildLaneRuns(side, laneId) {
-      const features = [];
-      let runOuter = [];
-      let runInner = [];
-      let active = false;
-      let prevWidth = 0;
-      let runType = null;
-      for (let i = 0; i < samples.length; i++) {
-        const s = sIndex[i];
-        const { wCur, outer, inner } = computeOffsets(side, laneId, s);
-        const pOuter = offsetPoint(samples[i], outer);
-        const pInner = offsetPoint(samples[i], inner);
-        const typeNow = laneTypeAt(side, laneId, s);
-
-        const widthOk = wCur > EPS;
-        if (widthOk) {
-          if (!active) {
-            runType = typeNow;
-            // starting a run: add boundary point at EPS if crossing
-            if (i > 0 && prevWidth <= EPS) {
-              const s0 = sIndex[i-1];
-              const s1 = sIndex[i];
-              const sec0 = sectionAt(s0);
-              const widths0 = (sec0?.[side] || []).map((ln) => ({ id: ln.id, widths: ln.widths }));
-              const this0 = widths0.find(w => w.id === laneId);
-              const w0 = laneWidthAt(this0?.widths || [], s0 - (sec0?.s || 0));
-              const w1 = wCur;
-              const t = (w1 - w0) !== 0 ? (EPS - w0) / (w1 - w0) : 0;
-              const sp = interpPoint(samples[i-1], samples[i], t);
-              // Use linear interp of already computed outer offsets
-              const offPrevOuter = (side==='left' ? (function(){
-                let sum = laneOffsetAt(s0);
-                for (const ln of widths0) { const w = laneWidthAt(ln.widths, s0 - (sec0?.s||0)); if (ln.id <= laneId) sum += w; }
-                return sum; })() : (function(){
-                let sum = laneOffsetAt(s0);
-                const sorted0 = widths0.slice().sort((a,b)=>a.id-b.id);
-                for (const ln of sorted0) { const w = laneWidthAt(ln.widths, s0 - (sec0?.s||0)); if (ln.id >= laneId) sum -= w; }
-                return sum; })());
-              const offStart = offPrevOuter + ( ( (side==='left') ? -1 : +1) * (w0 - EPS) ); // inner will use EPS
-              const offEnd = outer + ( ( (side==='left') ? -1 : +1) * (w1 - EPS) );
-              const offOuterInterp = offPrevOuter + (outer - offPrevOuter) * t;
-              const spOuter = offsetPoint(sp, offOuterInterp);
-              const spInner = offsetPoint(sp, side==='left' ? (offOuterInterp - EPS) : (offOuterInterp + EPS));
-              runOuter.push(spOuter);
-              runInner.push(spInner);
-            }
-            active = true;
-          }
-          // laneSection boundary with potential type change
-          if (i > 0) {
-            const s0 = sIndex[i-1];
-            const s1 = sIndex[i];
-            for (const sb of sectionBounds) {
-              if (s0 < sb && sb <= s1 + 1e-9) {
-                const typeBefore = laneTypeAt(side, laneId, sb - 1e-6);
-                const typeAfter = laneTypeAt(side, laneId, sb + 1e-6);
-                // Always insert exact boundary point using next section offsets to start slope immediately
-                const tB = (sb - s0) / (s1 - s0);
-                const spB = interpPoint(samples[i-1], samples[i], tB);
-                const offAfter = computeOffsets(side, laneId, sb + 1e-6, sectionAt(sb + 1e-6));
-                if (offAfter.wCur > EPS) {
-                  const pO = offsetPoint(spB, offAfter.outer);
-                  const pI = offsetPoint(spB, offAfter.inner);
-                  runOuter.push(pO);
-                  runInner.push(pI);
-                }
-                if (typeBefore !== typeAfter) {
-                  const t = (sb - s0) / (s1 - s0);
-                  const sp = interpPoint(samples[i-1], samples[i], t);
-                  const offB = computeOffsets(side, laneId, sb - 1e-6, sectionAt(sb - 1e-6));
-                  const pOB = offsetPoint(sp, offB.outer);
-                  const pIB = offsetPoint(sp, offB.inner);
-                  runOuter.push(pOB);
-                  runInner.push(pIB);
-                  if (runOuter.length >= 2 && runInner.length >= 2) {
-                    const props = { side, laneId, laneType: runType || typeBefore, roadId: road.id, roadName: road.name || '', roadLength: road.length };
-                    const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
-                    feat.id = `r${road.id}_l${laneId}_${runOuter[0][3].toFixed(2)}`;
-                    feat.properties.fid = feat.id;
-                    features.push(feat);
-                    const innerLine = toLineString(runInner, projector);
-                    innerLine.properties = { kind: 'lane_inner', side, laneId, roadId: road.id };
-                    markingFeatures.push(innerLine);
-                  }
-                  runOuter = [];
-                  runInner = [];
-                  active = false;
-                  runType = null;
-
-                  // start new run immediately on the next section if width there is > EPS
-                  const offA = computeOffsets(side, laneId, sb + 1e-6, sectionAt(sb + 1e-6));
-                  if (offA.wCur > EPS) {
-                    const pOA = offsetPoint(sp, offA.outer);
-                    const pIA = offsetPoint(sp, offA.inner);
-                    runOuter.push(pOA);
-                    runInner.push(pIA);
-                    active = true;
-                    runType = typeAfter;
-                  }
+// editorAxes: embedded <userData><editorAxes> text (null if absent), undefined for a rebuild;
+// quality: the preset geo was built with
+function finishLoad(model, geo, editorAxes, quality) {
+  if (editorAxes !== undefined) geoByQuality.clear();
+  geoByQuality.set(quality, geo);
+  currentQuality = quality;
+  currentModel = model;
+  currentGeo = geo;
+  const geoTransform = makeGeoTransform(model.header, CENTER_LONLAT);
+  coordService = createCoordinateService(model, geoTransform);
+  // an unusable geoReference puts the roads in the wrong place: say so instead of drawing silently
+  if (geoTransform.issue) model.diagnostics = [{ severity: 'error', message: geoTransform.issue, element: 'geoReference' }, ...(model.diagnostics || [])];
+  if (mapLoaded) {
+    ensureLayers();
+    updateSources(withEditorOverlay(geo));
+  }
+  renderConsistency(geo.issues);
+  renderDiagnostics(model.diagnostics);
+  if (editorAxes === undefined) return;
+  // Prefer embedded editor axes if present in userData; otherwise, ingest from centerlines
+  let ingested = false;
+  try {
+    if (editorAxes) {
+      const data = JSON.parse(editorAxes);
+      if (Array.isArray(data)) {
+        if (window.editorIngestEditorAxes) { window.editorIngestEditorAxes(data); ingested = true; }
+        else {
+          // Defer until editor module is ready
+          window.__EDITOR_AXES_BUFFER = data;
+          if (!window.__EDITOR_AXES_WAIT) {
+            window.__EDITOR_AXES_WAIT = setInterval(() => {
+              try {
+                if (window.editorIngestEditorAxes && window.__EDITOR_AXES_BUFFER) {
+                  window.editorIngestEditorAxes(window.__EDITOR_AXES_BUFFER);
+                  window.__EDITOR_AXES_BUFFER = null;
+                  clearInterval(window.__EDITOR_AXES_WAIT);
+                  window.__EDITOR_AXES_WAIT = null;
                 }
-              }
-            }
-          }
-          runOuter.push(pOuter);
-          runInner.push(pInner);
-        } else if (active) {
-          // finishing a run: add boundary point at EPS if crossing
-          if (i > 0) {
-            const s0 = sIndex[i-1];
-            const s1 = sIndex[i];
-            const sec0 = sectionAt(s0);
-            const widths0 = (sec0?.[side] || []).map((ln) => ({ id: ln.id, widths: ln.widths }));
-            const this0 = widths0.find(w => w.id === laneId);
-            const w0 = laneWidthAt(this0?.widths || [], s0 - (sec0?.s || 0));
-            const w1 = wCur;
-            const t = (w1 - w0) !== 0 ? (EPS - w0) / (w1 - w0) : 0;
-            const sp = interpPoint(samples[i-1], samples[i], t);
-            // outer offset interpolation
-            const offPrevOuter = (side==='left' ? (function(){
-              let sum = laneOffsetAt(s0);
-              for (const ln of widths0) { const w = laneWidthAt(ln.widths, s0 - (sec0?.s||0)); if (ln.id <= laneId) sum += w; }
-              return sum; })() : (function(){
-              let sum = laneOffsetAt(s0);
-              const sorted0 = widths0.slice().sort((a,b)=>a.id-b.id);
-              for (const ln of sorted0) { const w = laneWidthAt(ln.widths, s0 - (sec0?.s||0)); if (ln.id >= laneId) sum -= w; }
-              return sum; })());
-            const offOuterInterp = offPrevOuter + (outer - offPrevOuter) * t;
-            const spOuter = offsetPoint(sp, offOuterInterp);
-            const spInner = offsetPoint(sp, side==='left' ? (offOuterInterp - EPS) : (offOuterInterp + EPS));
-            runOuter.push(spOuter);
-            runInner.push(spInner);
+              } catch {}
+            }, 50);
           }
-          // finish feature
-          if (runOuter.length >= 2 && runInner.length >= 2) {
-            const props = { side, laneId, laneType: laneTypeFor(road, side, laneId), roadId: road.id, roadName: road.name || '', roadLength: road.length };
-            const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
-            feat.id = `r${road.id}_l${laneId}_${runOuter[0][3].toFixed(2)}`;
-            feat.properties.fid = feat.id;
-            features.push(feat);
-            // Add inner boundary as marking line
-            const innerLine = toLineString(runInner, projector);
-            innerLine.properties = { kind: 'lane_inner', side, laneId, roadId: road.id };
-            markingFeatures.push(innerLine);
-          }
-          runOuter = [];
-          runInner = [];
-          active = false;
+          ingested = true; // we'll ingest shortly
         }
-        prevWidth = wCur;
-      }
-      // finalize last run
-      if (active && runOuter.length >= 2 && runInner.length >= 2) {
-        const props = { side, laneId, laneType: laneTypeFor(road, side, laneId), roadId: road.id, roadName: road.name || '', roadLength: road.length };
-        const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
-        feat.id = `r${road.id}_l${laneId}_${runOuter[0][3].toFixed(2)}`;
-        feat.properties.fid = feat.id;
-        features.push(feat);
-        const innerLine = toLineString(runInner, projector);
-        const s0 = runInner[0][3], s1 = runInner[runInner.length-1][3];
-        const rm0 = roadMarkAt(side, laneId, s0) || {};
-        innerLine.properties = {
-          kind: 'lane_inner', side, laneId, roadId: road.id,
-          s0, s1,
-          roadmark: rm0.type || undefined,
-          roadmarkColor: rm0.color || undefined,
-          roadmarkWidth: rm0.width,
-          roadmarkMaterial: rm0.material || undefined,
-          roadmarkLaneChange: rm0.laneChange || undefined
-        };
-        markingFeatures.push(innerLine);
       }
-      return features;
     }
+  } catch (e) { console.warn('[loadXodr] userData.editorAxes parse failed', e); }
+  if (!ingested) {
+    try { if (window.editorIngestFromCenterlines) window.editorIngestFromCenterlines(geo.centerlines); } catch {}
+  }
+  if (geo.bounds) {
+    map.fitBounds(geo.bounds, { padding: 40, duration: 0 }, { xodrLoadFit: true });
+  }
+}
 
-    // Build and render using lane tracks across sections
-    function buildTracks(side) {
-      const tracks = [];
-      const nodes = new Map();
-      for (let si=0; si<road.laneSections.length; si++){
-        const ls = road.laneSections[si];
-        for (const ln of (ls[side]||[])) {
-          nodes.set(`${si}:${ln.id}`, { si, id: ln.id, pred: ln.predecessor, succ: ln.successor, type: ln.type });
-        }
-      }
-      const starts = [];
-      for (let si=0; si<road.laneSections.length; si++){
-        const ls = road.laneSections[si];
-        for (const ln of (ls[side]||[])) {
-          const key = `${si}:${ln.id}`;
-          const prevKey = si>0 ? `${si-1}:${ln.predecessor}` : null;
-          if (!prevKey || !nodes.has(prevKey)) starts.push(nodes.get(key));
-        }
-      }
-      for (const st of starts){
-        const track = []; let cur = st;
-        while (cur){ track.push(cur); const nsi = cur.si+1; const nls = road.laneSections[nsi]; if (!nls) break; let nextKey = null; if (cur.succ!=null && nodes.has(`${nsi}:${cur.succ}`)) nextKey = `${nsi}:${cur.succ}`; if (!nextKey){ for (const ln of (nls[side]||[])) { if (ln.predecessor === cur.id) { nextKey = `${nsi}:${ln.id}`; break; } }} cur = nextKey ? nodes.get(nextKey) : null; }
-        tracks.push({ side, nodes: track });
-      }
-      return tracks;
-    }
-    const tracksLeft = buildTracks('left');
-    const tracksRight = buildTracks('right');
-
-    function buildLaneRunsTrack(track) {
-      const features = [];
-      let runOuter = [];
-      let runInner = [];
-      let active = false;
-      let prevWidth = 0;
-      let runType = null;
-      for (let i=0;i<samples.length;i++){
-        const s = sIndex[i];
-        const sec = sectionAt(s);
-        const si = road.laneSections.indexOf(sec);
-        const node = track.nodes.find(n=>n.si===si);
-        if (!node){
-          if (active){
-            if (runOuter.length>=2 && runInner.length>=2){
-            const s0 = runOuter[0][3];
-            const s1 = runOuter[runOuter.length-1][3];
-            const props = { side: track.side, laneId: 'track', laneType: runType||'', roadId: road.id, roadName: road.name||'', roadLength: road.length, s0, s1, secStartS: sectionAt(s0)?.s || 0, secEndS: sectionAt(s1)?.s || 0 };
-            // attach representative roadmark to lane polygon as well (mid-run)
-            const rmMid = roadMarkAt(track.side, 'track', 0.5*(s0+s1));
-            if (rmMid) {
-              props.roadmark = rmMid.type || undefined;
-              props.roadmarkColor = rmMid.color || undefined;
-              props.roadmarkWidth = rmMid.width;
-              props.roadmarkMaterial = rmMid.material || undefined;
-              props.roadmarkLaneChange = rmMid.laneChange || undefined;
-            }
-            const feat = track.side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
-            const laneIdUniq = nextId('lane');
-            feat.id = laneIdUniq; feat.properties.fid = laneIdUniq; features.push(feat);
-            const innerLine = toLineString(runInner, projector); 
-            const rm0 = roadMarkAt(track.side, (typeof props.laneId==='number'?props.laneId:node?.id), s0) || {};
-            innerLine.properties = { kind:'lane_inner', side: track.side, roadId: road.id, s0, s1, secStartS: props.secStartS, secEndS: props.secEndS, roadmark: rm0.type || undefined, roadmarkColor: rm0.color || undefined, roadmarkWidth: rm0.width, roadmarkMaterial: rm0.material || undefined, roadmarkLaneChange: rm0.laneChange || undefined };
-            const mid = nextId('mark'); innerLine.id = mid; innerLine.properties.mid = mid; markingFeatures.push(innerLine);
-            }
-            runOuter=[]; runInner=[]; active=false; prevWidth=0;
-          }
-          continue;
-        }
-        // compute offsets using node.id in this section
-        const side = track.side;
-        const widths = (sec?.[side] || []).map(ln=>({ id: ln.id, widths: ln.widths, type: ln.type }));
-        const thisLane = widths.find(w=>w.id===node.id);
-        const wCur = laneWidthAt(thisLane?.widths||[], s-(sec?.s||0));
-        let outer = laneOffsetAt(s);
-        if (side==='left'){
-          for (const ln of widths){ const w = laneWidthAt(ln.widths, s-(sec?.s||0)); if (ln.id<=node.id) outer += w; }
-        } else {
-          const sorted = widths.slice().sort((a,b)=>a.id-b.id);
-          for (const ln of sorted){ const w = laneWidthAt(ln.widths, s-(sec?.s||0)); if (ln.id>=node.id) outer -= w; }
-        }
-        const inner = side==='left' ? (outer - wCur) : (outer + wCur);
-        const pOuter = offsetPoint(samples[i], outer);
-        const pInner = offsetPoint(samples[i], inner);
-        const typeNow = (thisLane && (thisLane.type||'none')) || 'none';
-        const widthOk = wCur > EPS;
-        if (widthOk){
-          if (!active){
-            runType = typeNow; active = true;
-            if (i>0 && prevWidth<=EPS){
-              const s0=sIndex[i-1], s1=sIndex[i];
-              const sec0 = sectionAt(s0);
-              const si0 = road.laneSections.indexOf(sec0);
-              const node0 = track.nodes.find(n=>n.si===si0) || node;
-              const widths0 = (sec0?.[side] || []).map(ln=>({id:ln.id, widths: ln.widths}));
-              const this0 = widths0.find(w=>w.id===node0.id);
-              const w0 = laneWidthAt(this0?.widths||[], s0-(sec0?.s||0));
-              const t = (wCur - w0)!==0 ? (EPS - w0)/(wCur - w0) : 0;
-              const sp = interpPoint(samples[i-1], samples[i], t);
-              let offPrevOuter = laneOffsetAt(s0);
-              if (side==='left'){ for (const ln of widths0){ const w=laneWidthAt(ln.widths, s0-(sec0?.s||0)); if (ln.id<=node0.id) offPrevOuter+=w; } }
-              else { const sorted=widths0.slice().sort((a,b)=>a.id-b.id); for (const ln of sorted){ const w=laneWidthAt(ln.widths, s0-(sec0?.s||0)); if (ln.id>=node0.id) offPrevOuter-=w; } }
-              const offOuterInterp = offPrevOuter + (outer - offPrevOuter)*t;
-              runOuter.push(offsetPoint(sp, offOuterInterp));
-              runInner.push(offsetPoint(sp, side==='left'? (offOuterInterp - EPS):(offOuterInterp + EPS)));
-            }
-          }
-          runOuter.push(pOuter); runInner.push(pInner);
-        } else if (active){
-          // close
-          if (i>0){
-            const s0=sIndex[i-1];
-            const sec0=sectionAt(s0);
-            const si0=road.laneSections.indexOf(sec0);
-            const node0=track.nodes.find(n=>n.si===si0) || node;
-            const widths0=(sec0?.[side]||[]).map(ln=>({id:ln.id, widths:ln.widths}));
-            const this0=widths0.find(w=>w.id===node0.id);
-            const w0=laneWidthAt(this0?.widths||[], s0-(sec0?.s||0));
-            const t=(wCur - w0)!==0 ? (EPS - w0)/(wCur - w0) : 0;
-            const sp=interpPoint(samples[i-1], samples[i], t);
-            let offPrevOuter = laneOffsetAt(s0);
-            if (side==='left'){ for (const ln of widths0){ const w=laneWidthAt(ln.widths, s0-(sec0?.s||0)); if (ln.id<=node0.id) offPrevOuter+=w; } }
-            else { const sorted=widths0.slice().sort((a,b)=>a.id-b.id); for (const ln of sorted){ const w=laneWidthAt(ln.widths, s0-(sec0?.s||0)); if (ln.id>=node0.id) offPrevOuter-=w; } }
-            const offOuterInterp = offPrevOuter + (outer - offPrevOuter)*t;
-            runOuter.push(offsetPoint(sp, offOuterInterp));
-            runInner.push(offsetPoint(sp, side==='left'? (offOuterInterp - EPS):(offOuterInterp + EPS)));
-          }
-          if (runOuter.length>=2 && runInner.length>=2){
-            const s0 = runOuter[0][3];
-            const s1 = runOuter[runOuter.length-1][3];
-            const props = { side, laneId: node.id, laneType: runType||typeNow, roadId: road.id, roadName: road.name||'', roadLength: road.length, s0, s1, secStartS: sectionAt(s0)?.s || 0, secEndS: sectionAt(s1)?.s || 0 };
-            const rmMidLane = roadMarkAt(side, node.id, 0.5*(s0+s1));
-            if (rmMidLane){ props.roadmark = rmMidLane.type || undefined; props.roadmarkColor = rmMidLane.color || undefined; props.roadmarkWidth = rmMidLane.width; props.roadmarkMaterial = rmMidLane.material || undefined; props.roadmarkLaneChange = rmMidLane.laneChange || undefined; }
-            const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
-            const laneIdUniq = nextId('lane');
-            feat.id = laneIdUniq; feat.properties.fid = laneIdUniq; features.push(feat);
-            const innerLine = toLineString(runInner, projector);
-            const rm0 = roadMarkAt(side, node.id, s0) || {};
-            innerLine.properties = {
-              kind:'lane_inner', side, laneId: node.id, roadId: road.id,
-              s0, s1, secStartS: props.secStartS, secEndS: props.secEndS,
-              roadmark: rm0.type || undefined,
-              roadmarkColor: rm0.color || undefined,
-              roadmarkWidth: rm0.width,
-              roadmarkMaterial: rm0.material || undefined,
-              roadmarkLaneChange: rm0.laneChange || undefined
-            };
-            const mid = nextId('mark'); innerLine.id = mid; innerLine.properties.mid = mid; markingFeatures.push(innerLine);
-          }
-          runOuter=[]; runInner=[]; active=false;
-        }
-        prevWidth = wCur;
-      }
-      if (active && runOuter.length>=2 && runInner.length>=2){
-        const side = track.side; const nodeLast = track.nodes[track.nodes.length-1];
-        const s0 = runOuter[0][3]; const s1 = runOuter[runOuter.length-1][3];
-        const props = { side, laneId: nodeLast?.id, laneType: runType||'', roadId: road.id, roadName: road.name||'', roadLength: road.length, s0, s1, secStartS: sectionAt(s0)?.s || 0, secEndS: sectionAt(s1)?.s || 0 };
-        const rmMidLane = roadMarkAt(side, nodeLast?.id, 0.5*(s0+s1));
-        if (rmMidLane){ props.roadmark = rmMidLane.type || undefined; props.roadmarkColor = rmMidLane.color || undefined; props.roadmarkWidth = rmMidLane.width; props.roadmarkMaterial = rmMidLane.material || undefined; props.roadmarkLaneChange = rmMidLane.laneChange || undefined; }
-        const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
-        const laneIdUniq = nextId('lane');
-        feat.id = laneIdUniq; feat.properties.fid = laneIdUniq; features.push(feat);
-        const innerLine = toLineString(runInner, projector);
-        const rm0 = roadMarkAt(side, nodeLast?.id, s0) || {};
-        innerLine.properties = {
-          kind:'lane_inner', side, laneId: nodeLast?.id, roadId: road.id,
-          s0, s1, secStartS: props.secStartS, secEndS: props.secEndS,
-          roadmark: rm0.type || undefined,
-          roadmarkColor: rm0.color || undefined,
-          roadmarkWidth: rm0.width,
-          roadmarkMaterial: rm0.material || undefined,
-          roadmarkLaneChange: rm0.laneChange || undefined
-        };
-        const mid = nextId('mark'); innerLine.id = mid; innerLine.properties.mid = mid; markingFeatures.push(innerLine);
-      }
-      return features;
+// ===== Schema validation (bundled OpenDRIVE XSD, in xodr/validation-worker.js) =====
+let validationWorker = null;
+let validationRun = 0;
+const MAX_VALIDATION_ROWS = 200; // distinct issues listed; the badge still counts them all
+
+function getValidationWorker() {
+  if (validationWorker) return validationWorker;
+  validationWorker = new Worker(new URL('./xodr/validation-worker.js', import.meta.url), { type: 'module' });
+  validationWorker.onmessage = (e) => {
+    const msg = e.data;
+    if (!msg || msg.type !== 'validation' || msg.id !== validationRun) return; // superseded by a newer load
+    if (msg.error) {
+      console.warn('[validation] failed', msg.error);
+      renderValidation(null, `Validation unavailable: ${msg.error}`);
+    } else {
+      renderValidation(msg.issues);
     }
+  };
+  validationWorker.onerror = (e) => {
+    e.preventDefault();
+    console.warn('[validation] worker failed', e.message);
+    renderValidation(null, `Validation unavailable: ${e.message || 'worker failed'}`);
+    validationWorker = null;
+  };
+  return validationWorker;
+}
 
-    for (const tr of tracksLeft) laneFeatures.push(...buildLaneRunsTrack(tr));
-    for (const tr of tracksRight) laneFeatures.push(...buildLaneRunsTrack(tr));
-
-    // Carriageway outer edges (exclude sidewalks)
-    const leftEdge = [];
-    const rightEdge = [];
-    for (let i = 0; i < samples.length; i++) {
-      const s = sIndex[i];
-      const sec = sectionAt(s);
-      const lo = laneOffsetAt(s);
-      let sumLeft = 0;
-      for (const ln of (sec?.left || [])) {
-        if ((ln.type || 'none') === 'sidewalk') continue;
-        const w = laneWidthAt(ln.widths, s - (sec?.s || 0));
-        sumLeft += w;
-      }
-      let sumRight = 0;
-      // right: sum absolute widths of considered lanes
-      const sortedRight = (sec?.right || []).slice().sort((a,b)=>a.id-b.id);
-      for (const ln of sortedRight) {
-        if ((ln.type || 'none') === 'sidewalk') continue;
-        const w = laneWidthAt(ln.widths, s - (sec?.s || 0));
-        sumRight += w;
-      }
-      const pL = offsetPoint(samples[i], lo + sumLeft);
-      const pR = offsetPoint(samples[i], lo - sumRight);
-      leftEdge.push(pL);
-      rightEdge.push(pR);
-    }
-    const leftEdgeLine = toLineString(leftEdge, projector); leftEdgeLine.properties = { kind: 'edge', side: 'left', roadId: road.id };
-    const rightEdgeLine = toLineString(rightEdge, projector); rightEdgeLine.properties = { kind: 'edge', side: 'right', roadId: road.id };
-    edgeFeatures.push(leftEdgeLine, rightEdgeLine);
+// Validate in the background; a newer load supersedes a pending run
+function scheduleValidation(xmlText) {
+  const run = ++validationRun;
+  renderValidation(null, 'Validating…');
+  try {
+    getValidationWorker().postMessage({ type: 'validate', id: run, text: xmlText });
+  } catch (e) {
+    console.warn('[validation] worker unavailable', e);
+    renderValidation(null, `Validation unavailable: ${e.message}`);
   }
+}
 
-  const bounds = (isFinite(minx) ? new mapboxgl.LngLatBounds(
-    projector([minx, miny]), projector([maxx, maxy])
-  ) : null);
+function renderValidation(issues, status) {
+  const list = document.getElementById('validationList');
+  const count = document.getElementById('validationCount');
+  if (!list) return;
+  if (!issues) {
+    list.innerHTML = `<div style="opacity:.6">${escapeHtml(status || '')}</div>`;
+    if (count) count.textContent = '…';
+    return;
+  }
+  if (count) count.textContent = String(issues.length);
+  if (!issues.length) { list.innerHTML = '<div style="color:#15803d">Valid against the bundled schema</div>'; return; }
+  // One row per message and element path (sibling indices dropped); a big file repeats the same issue hundreds of times
+  const groups = new Map();
+  for (const it of issues) {
+    const key = `${it.severity}\u0000${it.message}\u0000${(it.path || '').replace(/\[\d+\]/g, '')}`;
+    const g = groups.get(key);
+    if (g) g.items.push(it); else groups.set(key, { first: it, items: [it] });
+  }
+  const rows = [...groups.values()];
+  const shown = rows.slice(0, MAX_VALIDATION_ROWS);
+  list.innerHTML = shown.map(({ first: it, items }, i) => {
+    const where = it.roadId != null ? `road ${it.roadId}` : (it.junctionId != null ? `junction ${it.junctionId}` : '');
+    const jump = (it.roadId != null || it.junctionId != null) ? 'cursor:pointer;' : '';
+    const more = items.length > 1
+      ? ` <span class="badge" title="${escapeHtml(items.slice(0, 20).map(x => x.line != null ? `L${x.line}` : '—').join(', ') + (items.length > 20 ? ', …' : ''))}">×${items.length}</span>`
+      : '';
+    return `<div class="issue" data-i="${i}" style="${jump}padding:3px 0;border-bottom:1px solid #eee" title="${escapeHtml(it.path || '')}">
+      <div><b style="color:${it.severity === 'error' ? '#b91c1c' : '#b45309'}">${it.line != null ? `L${it.line}` : '—'}</b> ${escapeHtml(it.message)}${more}</div>
+      <div style="opacity:.6;word-break:break-all">${escapeHtml(it.path || '')}${where ? ` · ${escapeHtml(where)}` : ''}${items.length > 1 ? ' (first of them)' : ''}</div>
+    </div>`;
+  }).join('') + (rows.length > shown.length
+    ? `<div style="opacity:.6;padding:3px 0">${rows.length - shown.length} more distinct issues not shown</div>`
+    : '');
+  list.querySelectorAll('.issue').forEach((row) => {
+    row.addEventListener('click', () => focusIssue(shown[Number(row.dataset.i)].first));
+  });
+}
 
-  const centerlines = fc(centerFeatures);
-  const lanes = fc(laneFeatures);
-  const markings = fc(markingFeatures);
-  const sidewalks = fc(sidewalkFeatures);
-  const edges = fc(edgeFeatures);
-  const intersection = fc([]);
-  return { centerlines, lanes, markings, sidewalks, edges, intersection, bounds };
+// Parser diagnostics: recovered XML errors and content that was ignored or approximated
+function renderDiagnostics(items) {
+  const list = document.getElementById('diagnosticsList');
+  const count = document.getElementById('diagnosticsCount');
+  if (!list) return;
+  items = items || [];
+  if (count) count.textContent = String(items.length);
+  const panel = document.getElementById('diagnosticsPanel');
+  if (panel && items.some(it => it.severity === 'error')) panel.open = true;
+  if (!items.length) { list.innerHTML = '<div style="color:#15803d">Everything in the file was read</div>'; return; }
+  list.innerHTML = items.map((it, i) => {
+    const pos = it.line != null ? `L${it.line}${it.column != null ? `:${it.column}` : ''}` : '—';
+    const where = [it.element ? `<${it.element}>` : '', it.roadId != null ? `road ${it.roadId}` : ''].filter(Boolean).join(' · ');
+    return `<div class="issue" data-i="${i}" style="${it.roadId != null ? 'cursor:pointer;' : ''}padding:3px 0;border-bottom:1px solid #eee">
+      <div><b style="color:${it.severity === 'error' ? '#b91c1c' : '#b45309'}">${pos}</b> ${escapeHtml(it.message)}</div>
+      ${where ? `<div style="opacity:.6">${escapeHtml(where)}</div>` : ''}
+    </div>`;
+  }).join('');
+  list.querySelectorAll('.issue').forEach((row) => {
+    row.addEventListener('click', () => focusIssue(items[Number(row.dataset.i)]));
+  });
 }
 
-// Simplify centerline samples: for straight planView segments keep only endpoints; keep all for curved
-function simplifyCenterlineSamples(samples, geoms) {
+// Fit the map to the road of an issue (junction issues: all of its connecting roads)
+function focusIssue(issue) {
+  if (!issue || !currentGeo) return;
+  let ids = null;
+  if (issue.roadId != null) ids = new Set([String(issue.roadId)]);
+  else if (issue.junctionId != null && currentModel) ids = new Set(currentModel.roads.filter(r => r.junction === String(issue.junctionId)).map(r => String(r.id)));
+  if (!ids || !ids.size) return;
+  const feats = (currentGeo.centerlines?.features || []).filter(f => ids.has(String(f.properties?.roadId)));
+  if (!feats.length) return;
   try {
-    if (!Array.isArray(samples) || !Array.isArray(geoms) || geoms.length === 0) return samples;
-    const out = [];
-    const eps = 1e-9;
-    for (const g of geoms) {
-      const s0 = Number(g.s) || 0;
-      const L = Number(g.length) || 0;
-      const s1 = s0 + L;
-      const seg = samples.filter(p => p[3] >= s0 - eps && p[3] <= s1 + eps);
-      if (!seg.length) continue;
-      const isLine = (g.type === 'line');
-      if (isLine) {
-        // Keep all existing samples for lines (these are already only ticks/endpoints)
-        for (const p of seg) {
-          if (!out.length || out[out.length - 1][3] < p[3] - eps) out.push(p);
-        }
-      } else {
-        // Keep dense samples for curved segments; avoid duplicate at joints
-        for (let i = 0; i < seg.length; i++) {
-          const p = seg[i];
-          if (!out.length || out[out.length - 1][3] < p[3] - eps) out.push(p);
-        }
-      }
-    }
-    // Ensure strictly increasing s and at least 2 points
-    const dedup = [];
-    for (const p of out) {
-      if (!dedup.length || p[3] > dedup[dedup.length - 1][3] + 1e-9) dedup.push(p);
-    }
-    return dedup.length >= 2 ? dedup : samples;
-  } catch {
-    return samples;
-  }
+    const bb = turf.bbox(fc(feats));
+    map.fitBounds([[bb[0], bb[1]], [bb[2], bb[3]]], { padding: 80, maxZoom: 19, duration: 400 });
+  } catch {}
 }
 
-function polyEval(coeff, ds) {
-  if (!coeff) return 0;
-  return coeff.a + coeff.b * ds + coeff.c * ds * ds + coeff.d * ds * ds * ds;
-}
 
-function collectLaneIds(laneSections, side) {
-  const set = new Set();
-  for (const ls of laneSections || []) {
-    for (const ln of (ls?.[side] || [])) set.add(ln.id);
-  }
-  const ids = Array.from(set);
-  // sort left desc (2,1), right asc (-2,-1)
-  ids.sort((a,b) => a===b ? 0 : (a>0 && b>0 ? b-a : (a<0 && b<0 ? a-b : a-b)));
-  return ids;
+
+function renderConsistency(issuesFc) {
+  const list = document.getElementById('checkList');
+  const count = document.getElementById('checkCount');
+  if (!list) return;
+  const feats = issuesFc?.features || [];
+  if (count) count.textContent = String(feats.length);
+  if (!feats.length) { list.innerHTML = '<div style="color:#15803d">No consistency issues</div>'; return; }
+  list.innerHTML = feats.map((f, i) => {
+    const p = f.properties;
+    return `<div class="issue" data-i="${i}" style="${f.geometry ? 'cursor:pointer;' : ''}padding:3px 0;border-bottom:1px solid #eee">
+      <b style="color:${p.severity === 'error' ? '#b91c1c' : '#b45309'}">${escapeHtml(p.code)}</b> ${escapeHtml(p.message)}
+    </div>`;
+  }).join('');
+  list.querySelectorAll('.issue').forEach((row) => {
+    row.addEventListener('click', () => {
+      const f = feats[Number(row.dataset.i)];
+      if (f && f.geometry) map.easeTo({ center: f.geometry.coordinates.slice(0, 2), zoom: Math.max(map.getZoom(), 18), duration: 400 });
+    });
+  });
 }
 
-function laneTypeFor(road, side, laneId) {
-  for (const ls of road.laneSections || []) {
-    for (const ln of (ls?.[side] || [])) {
-      if (ln.id === laneId) return ln.type || 'none';
-    }
-  }
-  return 'none';
+// Lane fill colors: by laneType (default) or by speed limit (km/h, grey when unknown)
+const LANE_TYPE_COLOR = [
+  'match', ['get','laneType'],
+  'driving', '#3887be',
+  'shoulder', '#9e9e9e',
+  'sidewalk', '#6fcf97',
+  'biking', '#ff6f61',
+  'parking', '#f2c94c',
+  'rail', '#8d6e63',
+  'tram', '#a1887f',
+  /* other */ '#cfcfcf'
+];
+const LANE_SPEED_COLOR = [
+  'case', ['has', 'speedKmh'],
+  ['interpolate', ['linear'], ['get','speedKmh'],
+    10, '#1a9850',
+    30, '#91cf60',
+    50, '#fee08b',
+    70, '#fc8d59',
+    100, '#d73027',
+    130, '#7f0000'
+  ],
+  ['==', ['get','speedMax'], 'no limit'], '#4a148c',
+  /* unknown */ '#cfcfcf'
+];
+let laneColorMode = 'type';
+
+function setLaneColorMode(mode) {
+  laneColorMode = mode === 'speed' ? 'speed' : 'type';
+  try { if (map.getLayer('xodr-lanes')) map.setPaintProperty('xodr-lanes', 'fill-color', laneColorMode === 'speed' ? LANE_SPEED_COLOR : LANE_TYPE_COLOR); } catch {}
 }
 
-function offsetPoint(sample, offset) {
-  const [x, y, th, s] = sample;
-  const nx = -Math.sin(th), ny = Math.cos(th);
-  return [x + nx * offset, y + ny * offset, th, s];
+// Lane travel-direction arrows (panel toggle)
+let showLaneArrows = true;
+
+function setLaneArrowsVisible(on) {
+  showLaneArrows = !!on;
+  try { if (map.getLayer('xodr-arrows')) map.setLayoutProperty('xodr-arrows', 'visibility', showLaneArrows ? 'visible' : 'none'); } catch {}
 }
 
 function ensureLayers() {
   if (!map.getSource('xodr-center')) {
-    map.addSource('xodr-center', { type: 'geojson', data: fc() });
+    map.addSource('xodr-center', { type: 'geojson', data: fc(), dynamic: true });
     map.addLayer({ id: 'xodr-center', type: 'line', source: 'xodr-center', paint: { 'line-color': 'transparent'/*'#111'*/, 'line-width': 1.5 } });
   }
   if (!map.getSource('xodr-lanes')) {
-    map.addSource('xodr-lanes', { type: 'geojson', data: fc() });
+    map.addSource('xodr-lanes', { type: 'geojson', data: fc(), dynamic: true });
     // color lanes by laneType
     map.addLayer({
       id: 'xodr-lanes',
       type: 'fill',
       source: 'xodr-lanes',
       paint: {
-        'fill-color': [
-          'match', ['get','laneType'],
-          'driving', '#3887be',
-          'shoulder', '#9e9e9e',
-          'sidewalk', '#6fcf97',
-          'biking', '#ff6f61',
-          'parking', '#f2c94c',
-          /* other */ '#cfcfcf'
-        ],
+        'fill-color': laneColorMode === 'speed' ? LANE_SPEED_COLOR : LANE_TYPE_COLOR,
         'fill-opacity': 0.4
       }
     });
     map.addLayer({ id: 'xodr-lane-outline', type: 'line', source: 'xodr-lanes', paint: { 'line-color': '#fff', 'line-width': 0.5, 'line-opacity': 0.5 } });
+    // sidewalks and the curb lines between them and the carriageway
+    map.addSource('xodr-sidewalks', { type: 'geojson', data: fc(), dynamic: true });
+    map.addLayer({ id: 'xodr-sidewalks', type: 'fill', source: 'xodr-sidewalks', paint: { 'fill-color': '#c8e6c9', 'fill-opacity': 0.8, 'fill-outline-color': '#81c784' } });
+    map.addSource('xodr-curbs', { type: 'geojson', data: fc(), dynamic: true });
+    map.addLayer({ id: 'xodr-curbs', type: 'line', source: 'xodr-curbs', paint: { 'line-color': ['match', ['get','source'], 'height', '#37474f', '#78909c'], 'line-width': ['interpolate', ['linear'], ['zoom'], 15, 1.5, 20, 4] } });
+    // junction surfaces cover the overlapping connecting-road lanes
+    map.addSource('xodr-intersection', { type: 'geojson', data: fc(), dynamic: true });
+    map.addLayer({ id: 'xodr-intersection', type: 'fill', source: 'xodr-intersection', paint: { 'fill-color': '#90a4ae', 'fill-opacity': 0.85 } });
+    map.addLayer({ id: 'xodr-intersection-outline', type: 'line', source: 'xodr-intersection', paint: { 'line-color': '#546e7a', 'line-width': 1 } });
+    // rail and tram lanes: dark dashed borders, like sleepers along the track
+    map.addLayer({ id: 'xodr-rail-lanes', type: 'line', source: 'xodr-lanes', filter: ['match', ['get','laneType'], ['rail','tram'], true, false], paint: { 'line-color': '#4e342e', 'line-width': 2, 'line-dasharray': [1, 1] } });
     // markings source/layer
-    map.addSource('xodr-markings', { type: 'geojson', data: fc() });
-    map.addLayer({ id: 'xodr-markings', type: 'line', source: 'xodr-markings', paint: { 'line-color': '#ffffff', 'line-width': 0.8, 'line-dasharray': [2, 2], 'line-opacity': 0.9 } });
+    map.addSource('xodr-markings', { type: 'geojson', data: fc(), dynamic: true });
+    // painted roadMarks as metric polygons (scale with zoom like the real paint)
+    map.addSource('xodr-roadmarks', { type: 'geojson', data: fc(), dynamic: true });
+    map.addLayer({ id: 'xodr-roadmarks', type: 'fill', source: 'xodr-roadmarks', paint: { 'fill-color': ['coalesce', ['get','color'], '#ffffff'], 'fill-opacity': 0.95 } });
+    // lane borders stay as an invisible hit target for marking hover
+    map.addLayer({ id: 'xodr-markings', type: 'line', source: 'xodr-markings', paint: { 'line-color': '#ffffff', 'line-width': 4, 'line-opacity': 0 } });
     // outer edges of carriageway
-    map.addSource('xodr-edges', { type: 'geojson', data: fc() });
+    map.addSource('xodr-edges', { type: 'geojson', data: fc(), dynamic: true });
     map.addLayer({ id: 'xodr-edges', type: 'line', source: 'xodr-edges', paint: { 'line-color': '#111', 'line-width': 2.0, 'line-opacity': 0.17 } });
+    // travel direction: arrow along travel, double arrow for bidirectional lanes, dot when undirected
+    if (!map.hasImage('xodr-arrow')) map.addImage('xodr-arrow', makeArrowIcon(24, [37, 99, 235], 'single'));
+    if (!map.hasImage('xodr-arrow-both')) map.addImage('xodr-arrow-both', makeArrowIcon(24, [234, 88, 12], 'double'));
+    if (!map.hasImage('xodr-arrow-none')) map.addImage('xodr-arrow-none', makeArrowIcon(24, [107, 114, 128], 'dot'));
+    map.addSource('xodr-arrows', { type: 'geojson', data: fc(), dynamic: true });
+    map.addLayer({
+      id: 'xodr-arrows', type: 'symbol', source: 'xodr-arrows', minzoom: 15,
+      layout: {
+        'visibility': showLaneArrows ? 'visible' : 'none',
+        'icon-image': ['match', ['get','direction'], 'both', 'xodr-arrow-both', 'none', 'xodr-arrow-none', 'xodr-arrow'],
+        'icon-rotate': ['get','bearing'],
+        'icon-rotation-alignment': 'map',
+        'icon-allow-overlap': true,
+        'icon-size': ['interpolate', ['linear'], ['zoom'], 15, 0.4, 19, 0.9],
+      }
+    });
     // Simple hover layers: filter by feature id (exact match)
     map.addLayer({ id: 'xodr-lane-hover', type: 'line', source: 'xodr-lanes', paint: { 'line-color': '#ff0', 'line-width': 2.0 }, filter: ['==', ['id'], ''] });
     map.addLayer({ id: 'xodr-marking-hover', type: 'line', source: 'xodr-markings', paint: { 'line-color': '#ff0', 'line-width': 2.0 }, filter: ['==', ['id'], ''] });
+    // road objects: polygons (outlines, footprints), lines (open outlines, continuous repeats, bridges/tunnels), points
+    map.addSource('xodr-objects', { type: 'geojson', data: fc(), dynamic: true });
+    const objectColor = [
+      'match', ['get','objectType'],
+      'crosswalk', '#ffffff',
+      'barrier', '#616161',
+      'pole', '#8d6e63',
+      'building', '#b0a08a',
+      'parkingSpace', '#f2c94c',
+      'vegetation', '#66bb6a',
+      'tree', '#2e7d32',
+      'bridge', '#795548',
+      'tunnel', '#455a64',
+      /* other */ '#ff9800'
+    ];
+    map.addLayer({ id: 'xodr-objects-fill', type: 'fill', source: 'xodr-objects', filter: ['==', ['geometry-type'], 'Polygon'], paint: { 'fill-color': objectColor, 'fill-opacity': 0.7, 'fill-outline-color': '#333' } });
+    map.addLayer({ id: 'xodr-objects-line', type: 'line', source: 'xodr-objects', filter: ['==', ['geometry-type'], 'LineString'], paint: { 'line-color': objectColor, 'line-width': ['case', ['match', ['get','kind'], ['bridge','tunnel'], true, false], 6, 2], 'line-opacity': 0.8 } });
+    map.addLayer({ id: 'xodr-objects-point', type: 'circle', source: 'xodr-objects', filter: ['==', ['geometry-type'], 'Point'], paint: { 'circle-radius': 3, 'circle-color': objectColor, 'circle-stroke-width': 1, 'circle-stroke-color': '#333' } });
+    // signals: triangle pointing along the governed direction of travel, circle when unoriented
+    if (!map.hasImage('xodr-signal')) map.addImage('xodr-signal', makeTriangleIcon(24, [220, 38, 38]));
+    if (!map.hasImage('xodr-signal-ref')) map.addImage('xodr-signal-ref', makeTriangleIcon(24, [156, 163, 175]));
+    map.addSource('xodr-signals', { type: 'geojson', data: fc(), dynamic: true });
+    map.addLayer({
+      id: 'xodr-signals', type: 'symbol', source: 'xodr-signals',
+      layout: {
+        'icon-image': ['match', ['get','kind'], 'signalReference', 'xodr-signal-ref', 'xodr-signal'],
+        'icon-rotate': ['case', ['get','oriented'], ['get','bearing'], 0],
+        'icon-rotation-alignment': 'map',
+        'icon-allow-overlap': true,
+        'icon-size': ['interpolate', ['linear'], ['zoom'], 14, 0.5, 19, 1],
+        // show values like speed limits; -1 is the "no value" placeholder
+        'text-field': ['case', ['>', ['coalesce', ['get','value'], -1], 0], ['to-string', ['get','value']], ''],
+        'text-font': ['DIN Offc Pro Medium','Arial Unicode MS Regular'],
+        'text-size': 10,
+        'text-offset': [0, 1.2],
+        'text-optional': true,
+      },
+      paint: { 'text-color': '#111', 'text-halo-color': '#fff', 'text-halo-width': 1 }
+    });
+    // station platforms and railroad switches (triangle along the main track direction)
+    map.addSource('xodr-platforms', { type: 'geojson', data: fc(), dynamic: true });
+    map.addLayer({ id: 'xodr-platforms', type: 'fill', source: 'xodr-platforms', paint: { 'fill-color': '#90a4ae', 'fill-opacity': 0.8, 'fill-outline-color': '#37474f' } });
+    if (!map.hasImage('xodr-switch')) map.addImage('xodr-switch', makeTriangleIcon(24, [109, 40, 217]));
+    map.addSource('xodr-switches', { type: 'geojson', data: fc(), dynamic: true });
+    map.addLayer({
+      id: 'xodr-switches', type: 'symbol', source: 'xodr-switches',
+      layout: {
+        'icon-image': 'xodr-switch',
+        'icon-rotate': ['get','bearing'],
+        'icon-rotation-alignment': 'map',
+        'icon-allow-overlap': true,
+        'icon-size': ['interpolate', ['linear'], ['zoom'], 14, 0.5, 19, 1],
+        'text-field': ['get','name'],
+        'text-font': ['DIN Offc Pro Medium','Arial Unicode MS Regular'],
+        'text-size': 10,
+        'text-offset': [0, 1.2],
+        'text-optional': true,
+      },
+      paint: { 'text-color': '#4c1d95', 'text-halo-color': '#fff', 'text-halo-width': 1 }
+    });
+    // consistency checker markers
+    map.addSource('xodr-issues', { type: 'geojson', data: fc() });
+    map.addLayer({
+      id: 'xodr-issues', type: 'circle', source: 'xodr-issues',
+      paint: {
+        'circle-radius': ['interpolate', ['linear'], ['zoom'], 12, 4, 18, 8],
+        'circle-color': ['match', ['get','severity'], 'error', '#dc2626', '#f59e0b'],
+        'circle-stroke-width': 2, 'circle-stroke-color': '#fff', 'circle-opacity': 0.9
+      }
+    });
     attachHoverHandlers();
   }
 }
 
+// Features last sent to each source by id (null when the data was not fully keyed)
+const sourceFeatures = new Map();
+
+// Replace a source's data. Road features carry ids (see buildRoadGeometry), so when none disappeared
+// only new and changed ones are sent through updateData: unchanged roads come back from the geometry
+// cache as the same objects, or as equal copies from the worker. Otherwise the whole collection is set.
+function setSourceData(id, data) {
+  const src = map.getSource(id);
+  if (!src) return;
+  const features = data.features || [];
+  const next = new Map();
+  for (const f of features) if (f.id != null) next.set(f.id, f);
+  const keyed = next.size === features.length;
+  const prev = sourceFeatures.get(id);
+  sourceFeatures.set(id, keyed ? next : null);
+  if (keyed && prev && typeof src.updateData === 'function' && [...prev.keys()].every(fid => next.has(fid))) {
+    const changed = features.filter(f => !sameFeature(prev.get(f.id), f));
+    // mostly new data (e.g. another quality preset): a full reset is cheaper
+    if (changed.length <= features.length / 2) {
+      try { if (changed.length) src.updateData(fc(changed)); return; } catch {}
+    }
+  }
+  src.setData(data);
+}
+
+function sameFeature(a, b) {
+  return a === b || (!!a && JSON.stringify(a) === JSON.stringify(b));
+}
+
 function updateSources(geo) {
-  map.getSource('xodr-center').setData(geo.centerlines);
-  map.getSource('xodr-lanes').setData(geo.lanes);
-  if (map.getSource('xodr-markings')) map.getSource('xodr-markings').setData(geo.markings || fc());
-  if (map.getSource('xodr-edges')) map.getSource('xodr-edges').setData(geo.edges || fc());
+  setSourceData('xodr-center', geo.centerlines);
+  setSourceData('xodr-lanes', geo.lanes);
+  setSourceData('xodr-markings', geo.markings || fc());
+  setSourceData('xodr-roadmarks', geo.roadmarks || fc());
+  setSourceData('xodr-sidewalks', geo.sidewalks || fc());
+  setSourceData('xodr-curbs', geo.curbs || fc());
+  setSourceData('xodr-arrows', geo.arrows || fc());
+  setSourceData('xodr-edges', geo.edges || fc());
+  setSourceData('xodr-objects', geo.objects || fc());
+  setSourceData('xodr-signals', geo.signals || fc());
+  setSourceData('xodr-switches', geo.switches || fc());
+  setSourceData('xodr-platforms', geo.platforms || fc());
+  setSourceData('xodr-intersection', geo.intersection || fc());
+  setSourceData('xodr-issues', geo.issues || fc());
+}
+
+// RGBA triangle pointing up (north) with a white rim, for oriented symbol layers
+function makeTriangleIcon(size, rgb) {
+  const data = new Uint8Array(size * size * 4);
+  const inside = (x, y, pad) => {
+    // apex at top centre, base along the bottom
+    const top = pad, bottom = size - 1 - pad, half = (size / 2 - pad) * (y - top) / Math.max(1, bottom - top);
+    return y >= top && y <= bottom && Math.abs(x - (size - 1) / 2) <= half;
+  };
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      if (inside(x, y, 4)) { data[i] = rgb[0]; data[i+1] = rgb[1]; data[i+2] = rgb[2]; data[i+3] = 255; }
+      else if (inside(x, y, 1)) { data[i] = 255; data[i+1] = 255; data[i+2] = 255; data[i+3] = 255; }
+    }
+  }
+  return { width: size, height: size, data };
+}
+
+// RGBA arrow pointing up (north) with a white rim: 'single', 'double' (both ends) or 'dot'
+function makeArrowIcon(size, rgb, kind) {
+  const data = new Uint8Array(size * size * 4);
+  const c = (size - 1) / 2, pad = 3, headLen = size * (kind === 'double' ? 0.3 : 0.4);
+  const fill = (x, y) => {
+    if (kind === 'dot') return Math.hypot(x - c, y - c) <= size / 4;
+    const dx = Math.abs(x - c);
+    const head = (d) => d >= pad && d <= pad + headLen && dx <= (size / 2 - pad) * (d - pad) / headLen;
+    const shaft = dx <= size / 10 && y >= pad + headLen / 2 && y <= size - 1 - pad - (kind === 'double' ? headLen / 2 : 0);
+    return head(y) || (kind === 'double' && head(size - 1 - y)) || shaft;
+  };
+  // rim: white pixels within 2 px of the filled shape
+  const rim = (x, y) => {
+    for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) if (dx * dx + dy * dy <= 4 && fill(x + dx, y + dy)) return true;
+    return false;
+  };
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      if (fill(x, y)) { data[i] = rgb[0]; data[i+1] = rgb[1]; data[i+2] = rgb[2]; data[i+3] = 255; }
+      else if (rim(x, y)) { data[i] = 255; data[i+1] = 255; data[i+2] = 255; data[i+3] = 255; }
+    }
+  }
+  return { width: size, height: size, data };
 }
 
 // Editor layers (intersections)
@@ -996,7 +823,17 @@ window.buildGeo = function buildGeo() {
       ['centerlines','xodr-center'],
       ['lanes','xodr-lanes'],
       ['markings','xodr-markings'],
+      ['roadmarks','xodr-roadmarks'],
+      ['sidewalks','xodr-sidewalks'],
+      ['curbs','xodr-curbs'],
+      ['arrows','xodr-arrows'],
       ['edges','xodr-edges'],
+      ['objects','xodr-objects'],
+      ['signals','xodr-signals'],
+      ['switches','xodr-switches'],
+      ['platforms','xodr-platforms'],
+      ['intersection','xodr-intersection'],
+      ['issues','xodr-issues'],
     ];
     for (const [key, id] of ids) {
       const src = map.getSource(id);
@@ -1006,27 +843,38 @@ window.buildGeo = function buildGeo() {
     }
     // Provide fallbacks for absent sources
     return Object.assign({
-      centerlines: fc(), lanes: fc(), markings: fc(), edges: fc(), sidewalks: fc(), intersection: fc()
+      centerlines: fc(), lanes: fc(), markings: fc(), roadmarks: fc(), edges: fc(), sidewalks: fc(), curbs: fc(), arrows: fc(), objects: fc(), signals: fc(), switches: fc(), platforms: fc(), issues: fc(), intersection: fc()
     }, currentGeo || {}, bundle);
   } catch (e) {
-    return currentGeo || { centerlines: fc(), lanes: fc(), sidewalks: fc(), markings: fc(), edges: fc(), intersection: fc() };
+    return currentGeo || { centerlines: fc(), lanes: fc(), sidewalks: fc(), curbs: fc(), arrows: fc(), markings: fc(), roadmarks: fc(), edges: fc(), objects: fc(), signals: fc(), switches: fc(), platforms: fc(), issues: fc(), intersection: fc() };
   }
 }
 
+// Last geometry pushed by editor.js; merged over every base update (loads, quality swaps, rebuilds)
+// so the overlay stays visible until the editor replaces it
+let editorOverlay = null;
+
+// Base geometry with the editor overlay merged in (non-destructive)
+function withEditorOverlay(base) {
+  if (!editorOverlay) return base;
+  base = base || { centerlines: fc(), lanes: fc(), markings: fc(), edges: fc() };
+  const merge = (a,b) => fc([...(a?.features||[]), ...(b?.features||[])]);
+  return {
+    ...base,
+    centerlines: merge(base.centerlines, editorOverlay.centerlines),
+    lanes: merge(base.lanes, editorOverlay.lanes),
+    markings: merge(base.markings, editorOverlay.markings),
+    roadmarks: merge(base.roadmarks, editorOverlay.roadmarks),
+    edges: merge(base.edges, editorOverlay.edges),
+  };
+}
+
 // Allow editor.js to push its generated XODR-like geometry
 window.applyEditorXodr = function applyEditorXodr(geoOverlay) {
   try {
     ensureLayers();
-    // Merge overlay with current base geometry if present (non-destructive)
-    const base = currentGeo || { centerlines: fc(), lanes: fc(), markings: fc(), edges: fc() };
-    const merge = (a,b) => fc([...(a?.features||[]), ...(b?.features||[])]);
-    const combined = {
-      centerlines: merge(base.centerlines, geoOverlay.centerlines),
-      lanes: merge(base.lanes, geoOverlay.lanes),
-      markings: merge(base.markings, geoOverlay.markings),
-      edges: merge(base.edges, geoOverlay.edges),
-    };
-    updateSources(combined);
+    editorOverlay = geoOverlay || null;
+    updateSources(withEditorOverlay(currentGeo));
   } catch (e) {
     console.warn('[editor] failed to apply XODR view:', e);
   }
@@ -1038,10 +886,83 @@ window.filterBaseXodrForEditor = function filterBaseXodrForEditor(roadNames = []
     const names = Array.isArray(roadNames) ? roadNames : [];
     const filtNotIn = ['match', ['get','roadName'], names, false, true];
     if (map.getLayer('xodr-lanes')) map.setFilter('xodr-lanes', filtNotIn);
+    if (map.getLayer('xodr-sidewalks')) map.setFilter('xodr-sidewalks', filtNotIn);
+    if (map.getLayer('xodr-curbs')) map.setFilter('xodr-curbs', filtNotIn);
+    if (map.getLayer('xodr-arrows')) map.setFilter('xodr-arrows', filtNotIn);
     if (map.getLayer('xodr-center')) map.setFilter('xodr-center', filtNotIn);
+    if (map.getLayer('xodr-roadmarks')) map.setFilter('xodr-roadmarks', filtNotIn);
   } catch (e) { console.warn('[editor] base filter failed', e); }
 }
 
+// ===== Editor edits -> model records (exported through serializeOpenDrive) =====
+// Edited axes replace the planView of the road they came from; roads of editor-exported files
+// (named after their axis) take one split part each, and spare parts or roads are added or removed.
+// The edits go into a copy of the road list: the loaded model (map, coordService, geometry cache)
+// keeps the parsed roads.
+const EDITOR_LANE_WIDTH = 3.5;
+
+function withEditorEdits(model) {
+  const edited = (window.EditorEditedAxes && window.EditorEditedAxes()) || [];
+  if (!edited.length) return model;
+  const roads = model.roads.slice();
+  const geo = makeGeoTransform(model.header, CENTER_LONLAT);
+  const toPlanView = (coords) => {
+    const planView = [];
+    let s = 0;
+    const xy = coords.map((c) => geo.toLocal(c));
+    for (let i = 0; i < xy.length - 1; i++) {
+      const [x0, y0] = xy[i], [x1, y1] = xy[i + 1];
+      const length = Math.hypot(x1 - x0, y1 - y0);
+      if (!(length > 0)) continue;
+      planView.push({ s: round3(s), x: round3(x0), y: round3(y0), hdg: Number(Math.atan2(y1 - y0, x1 - x0).toFixed(6)), length: round3(length), type: 'line' });
+      s += length;
+    }
+    return { planView, length: round3(s) };
+  };
+  const at = new Map(model.roads.map((r, i) => [r, i]));
+  const replace = (road, fields) => {
+    const i = at.get(road);
+    roads[i] = markModified({ ...roads[i], ...fields });
+  };
+
+  let nextRoadId = Math.max(0, ...roads.map((r) => Number(r.id)).filter(Number.isFinite));
+  for (const axis of edited) {
+    const targets = axis.roadId != null
+      ? model.roads.filter((r) => r.id === String(axis.roadId))
+      : model.roads.filter((r) => r.name === axis.id);
+    axis.parts.forEach((part, i) => {
+      if (targets[i]) replace(targets[i], toPlanView(part));
+      else roads.push(editorRoad(String(++nextRoadId), axis.id, toPlanView(part)));
+    });
+    targets.slice(axis.parts.length).forEach((road) => replace(road, { removed: true }));
+  }
+  return { ...model, roads };
+}
+
+// Two-lane road for a drawn axis, as EditorExportXodr writes them
+function editorRoad(id, name, { planView, length }) {
+  const lane = (laneId) => ({
+    id: laneId, type: laneId ? 'driving' : 'none', level: false,
+    widths: laneId ? [{ sOffset: 0, a: EDITOR_LANE_WIDTH, b: 0, c: 0, d: 0 }] : [],
+    borders: [], roadMarks: [], heights: [], speeds: [], access: [], materials: [], rules: [],
+  });
+  return markModified({
+    id, name, length, junction: '-1', rule: 'RHT', types: [], planView,
+    laneSections: [{ s: 0, left: [lane(1)], center: [lane(0)], right: [lane(-1)] }],
+    laneOffsets: [], elevations: [], superelevations: [], shapes: [], objects: [], bridges: [], tunnels: [],
+    signals: [], signalReferences: [], switches: [],
+  });
+}
+
+// Keep <userData><editorAxes> of an editor-exported file in step with the edited axes
+function replaceEditorAxes(text, json) {
+  return text.replace(/(<editorAxes>\s*<!\[CDATA\[)[\s\S]*?(\]\]>\s*<\/editorAxes>)/, (m, open, close) => open + json + close);
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
 function clearSources() {
   try {
     ensureLayers();
@@ -1049,9 +970,23 @@ function clearSources() {
     if (map.getSource('xodr-center')) map.getSource('xodr-center').setData(empty);
     if (map.getSource('xodr-lanes')) map.getSource('xodr-lanes').setData(empty);
     if (map.getSource('xodr-markings')) map.getSource('xodr-markings').setData(empty);
+    if (map.getSource('xodr-roadmarks')) map.getSource('xodr-roadmarks').setData(empty);
+    if (map.getSource('xodr-sidewalks')) map.getSource('xodr-sidewalks').setData(empty);
+    if (map.getSource('xodr-curbs')) map.getSource('xodr-curbs').setData(empty);
+    if (map.getSource('xodr-arrows')) map.getSource('xodr-arrows').setData(empty);
     if (map.getSource('xodr-edges')) map.getSource('xodr-edges').setData(empty);
+    if (map.getSource('xodr-objects')) map.getSource('xodr-objects').setData(empty);
+    if (map.getSource('xodr-signals')) map.getSource('xodr-signals').setData(empty);
+    if (map.getSource('xodr-switches')) map.getSource('xodr-switches').setData(empty);
+    if (map.getSource('xodr-platforms')) map.getSource('xodr-platforms').setData(empty);
+    if (map.getSource('xodr-intersection')) map.getSource('xodr-intersection').setData(empty);
+    if (map.getSource('xodr-issues')) map.getSource('xodr-issues').setData(empty);
+    sourceFeatures.clear();
     currentGeo = null;
     currentModel = null;
+    coordService = null;
+    geoByQuality.clear();
+    currentQuality = null;
   } catch {}
 }
 
@@ -1071,6 +1006,8 @@ function attachHoverHandlers() {
     const box = [[e.point.x-pad, e.point.y-pad],[e.point.x+pad, e.point.y+pad]];
     const markingsCount = map.queryRenderedFeatures(box, { layers: ['xodr-markings'] }).length;
     if (markingsCount>0) return;
+    // junction surfaces hide their connecting-road lanes
+    if (map.queryRenderedFeatures(e.point, { layers: ['xodr-intersection'] }).length) return;
 
     const f = (e.features && e.features[0]) || null;
     if (!f) return;
@@ -1099,7 +1036,7 @@ function attachHoverHandlers() {
         <div><b>Sections:</b> ${Number(p.secStartS||0).toFixed(2)} → ${Number(p.secEndS||0).toFixed(2)} m</div>
       </div>`;
     try {
-      hoverPopup.setLngLat(e.lngLat).setHTML(buildLaneHtml(p)).addTo(map);
+      hoverPopup.setLngLat(e.lngLat).setHTML(buildLaneHtml(p, cursorPosition(e.lngLat, p.roadId))).addTo(map);
     } catch {
       hoverPopup.setLngLat(e.lngLat).setHTML(html).addTo(map);
     }
@@ -1138,7 +1075,7 @@ function attachHoverHandlers() {
         <div><b>Sections:</b> ${Number(p.secStartS||0).toFixed(2)} → ${Number(p.secEndS||0).toFixed(2)} m</div>
       </div>`;
     try {
-      hoverPopup.setLngLat(e.lngLat).setHTML(buildMarkingHtml(p)).addTo(map);
+      hoverPopup.setLngLat(e.lngLat).setHTML(buildMarkingHtml(p, cursorPosition(e.lngLat, p.roadId))).addTo(map);
     } catch {
       hoverPopup.setLngLat(e.lngLat).setHTML(html).addTo(map);
     }
@@ -1149,15 +1086,75 @@ function attachHoverHandlers() {
     try { map.setFilter('xodr-marking-hover', ['==', 'mid', '']); } catch {}
     if (hoverPopup) hoverPopup.remove();
   });
-  
+
+  // road objects hover
+  for (const layerId of ['xodr-objects-fill', 'xodr-objects-line', 'xodr-objects-point']) {
+    map.on('mousemove', layerId, (e) => {
+      const f = (e.features && e.features[0]) || null;
+      if (!f) return;
+      hoverPopup.setLngLat(e.lngLat).setHTML(buildObjectHtml(f.properties || {})).addTo(map);
+    });
+    map.on('mouseleave', layerId, () => { if (hoverPopup) hoverPopup.remove(); });
+  }
+
+  // signals hover
+  map.on('mousemove', 'xodr-signals', (e) => {
+    const f = (e.features && e.features[0]) || null;
+    if (!f) return;
+    hoverPopup.setLngLat(e.lngLat).setHTML(buildSignalHtml(f.properties || {})).addTo(map);
+  });
+  map.on('mouseleave', 'xodr-signals', () => { if (hoverPopup) hoverPopup.remove(); });
+
+  // sidewalks share the lane popup
+  map.on('mousemove', 'xodr-sidewalks', (e) => {
+    const f = (e.features && e.features[0]) || null;
+    if (!f) return;
+    const p = f.properties || {};
+    hoverPopup.setLngLat(e.lngLat).setHTML(buildLaneHtml(p, cursorPosition(e.lngLat, p.roadId))).addTo(map);
+  });
+  map.on('mouseleave', 'xodr-sidewalks', () => { if (hoverPopup) hoverPopup.remove(); });
+
+  // railroad switches, station platforms, junction surfaces and curbs
+  for (const [layerId, html] of [['xodr-switches', buildSwitchHtml], ['xodr-platforms', buildPlatformHtml], ['xodr-intersection', buildJunctionHtml], ['xodr-curbs', buildCurbHtml]]) {
+    map.on('mousemove', layerId, (e) => {
+      const f = (e.features && e.features[0]) || null;
+      if (!f) return;
+      hoverPopup.setLngLat(e.lngLat).setHTML(html(f.properties || {})).addTo(map);
+    });
+    map.on('mouseleave', layerId, () => { if (hoverPopup) hoverPopup.remove(); });
+  }
+  // consistency issue hover
+  map.on('mousemove', 'xodr-issues', (e) => {
+    const f = (e.features && e.features[0]) || null;
+    if (!f) return;
+    const p = f.properties || {};
+    hoverPopup.setLngLat(e.lngLat).setHTML(`<div style="font:12px/1.3 system-ui,Segoe UI,Roboto,Arial"><div><b>${escapeHtml(String(p.code || ''))}</b> <span style="opacity:.6">(${escapeHtml(String(p.severity || ''))})</span></div><div>${escapeHtml(String(p.message || ''))}</div></div>`).addTo(map);
+  });
+  map.on('mouseleave', 'xodr-issues', () => { if (hoverPopup) hoverPopup.remove(); });
+
 }
 
+// Road s/t under the cursor on a hovered road, null when unknown
+function cursorPosition(lngLat, roadId) {
+  if (!coordService || roadId == null) return null;
+  try { return coordService.projectLngLat([lngLat.lng, lngLat.lat], { roadId, maxDistance: 50 }); } catch { return null; }
+}
+
+function cursorHtml(at) {
+  return at ? `<div><b>Cursor:</b> s ${at.s.toFixed(2)} m, t ${at.t.toFixed(2)} m</div>` : '';
+}
+
+// Coordinate service of the loaded model: project(xy), projectLngLat(lnglat), toLocal/toLngLat({roadId, s, t, h})
+window.xodrGetCoordinates = function xodrGetCoordinates() {
+  return coordService;
+};
+
 function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;'}[c]));
 }
 
-// Build HTML for marking popup, including roadMark attributes if present
-function buildMarkingHtml(p) {
+// Build HTML for marking popup, including roadMark attributes if present; `at` is the cursor's road position
+function buildMarkingHtml(p, at) {
   const rmType = p.roadmark ? String(p.roadmark) : '';
   const rmColor = p.roadmarkColor ? `, ${p.roadmarkColor}` : '';
   const rmWidth = (p.roadmarkWidth!=null && isFinite(p.roadmarkWidth)) ? `, ${Number(p.roadmarkWidth).toFixed(3)} m` : '';
@@ -1172,22 +1169,135 @@ function buildMarkingHtml(p) {
         ${rmLine}
         ${rmMat}
         ${rmLC}
+        ${cursorHtml(at)}
         <div><b>Run s:</b> ${Number(p.s0||0).toFixed(2)} → ${Number(p.s1||0).toFixed(2)} m</div>
         <div><b>Sections:</b> ${Number(p.secStartS||0).toFixed(2)} → ${Number(p.secEndS||0).toFixed(2)} m</div>
       </div>`;
 }
 
+// Build HTML for road object popup (objects, bridges, tunnels)
+function buildObjectHtml(p) {
+  const name = p.name ? ` ${escapeHtml(String(p.name))}` : '';
+  const sub = p.subtype ? ` / ${escapeHtml(String(p.subtype))}` : '';
+  const sRange = p.s1 != null ? `${Number(p.s||0).toFixed(2)} → ${Number(p.s1).toFixed(2)} m` : `${Number(p.s||0).toFixed(2)} m`;
+  const tLine = p.t != null ? `<div><b>t:</b> ${Number(p.t).toFixed(2)} m${p.zOffset ? `, zOffset ${Number(p.zOffset).toFixed(2)} m` : ''}</div>` : '';
+  const hLine = (p.height!=null && isFinite(p.height)) ? `<div><b>Height:</b> ${Number(p.height).toFixed(2)} m</div>` : '';
+  const rep = p.continuous ? '<div>continuous repeat</div>' : (p.repeatIndex != null ? `<div><b>Repeat #</b>${p.repeatIndex}</div>` : '');
+  return `
+      <div style="font:12px/1.3 system-ui,Segoe UI,Roboto,Arial">
+        <div><b>${escapeHtml(p.kind || 'object')}:</b>${name} <span style="opacity:.6">(#${escapeHtml(String(p.objectId ?? ''))})</span></div>
+        <div><b>Type:</b> ${escapeHtml(String(p.objectType || 'n/a'))}${sub}</div>
+        <div><b>Road:</b> #${p.roadId}</div>
+        <div><b>s:</b> ${sRange}</div>
+        ${tLine}
+        ${hLine}
+        ${rep}
+      </div>`;
+}
+
+// Build HTML for signal / signalReference popup
+function buildSignalHtml(p) {
+  const isRef = p.kind === 'signalReference';
+  const name = p.name ? ` ${escapeHtml(String(p.name))}` : '';
+  const value = (p.value!=null && p.value!=='' && isFinite(p.value)) ? `<div><b>Value:</b> ${Number(p.value)}${p.unit ? ' ' + escapeHtml(String(p.unit)) : ''}</div>` : '';
+  const text = p.text ? `<div><b>Text:</b> ${escapeHtml(String(p.text))}</div>` : '';
+  const deps = p.dependencies ? `<div><b>Dependencies:</b> ${escapeHtml(String(p.dependencies))}</div>` : '';
+  const refLine = isRef ? `<div><b>References:</b> signal #${escapeHtml(String(p.signalId))}${p.signalRoadId != null ? ` on road #${escapeHtml(String(p.signalRoadId))}` : ' (missing)'}</div>` : '';
+  return `
+      <div style="font:12px/1.3 system-ui,Segoe UI,Roboto,Arial">
+        <div><b>${isRef ? 'Signal reference' : 'Signal'}:</b>${name} <span style="opacity:.6">(#${escapeHtml(String(p.signalId ?? ''))})</span></div>
+        ${refLine}
+        <div><b>Country:</b> ${escapeHtml(String(p.country || 'n/a'))} <b>Type:</b> ${escapeHtml(String(p.type ?? ''))} <b>Subtype:</b> ${escapeHtml(String(p.subtype ?? ''))}</div>
+        ${value}
+        ${text}
+        <div><b>Orientation:</b> ${escapeHtml(String(p.orientation || 'none'))}${p.dynamic ? ', dynamic' : ''}</div>
+        <div><b>Valid lanes:</b> ${escapeHtml(String(p.validLanes || 'none'))}</div>
+        ${deps}
+        <div><b>Road:</b> #${p.roadId} <b>s/t:</b> ${Number(p.s||0).toFixed(2)} / ${Number(p.t||0).toFixed(2)} m</div>
+      </div>`;
+}
+
+// Build HTML for railroad switch popup
+function buildSwitchHtml(p) {
+  const track = (road, s, dir) => road != null ? `road #${escapeHtml(String(road))} s ${Number(s||0).toFixed(2)} m (${escapeHtml(String(dir || '+'))})` : 'n/a';
+  const partner = p.partnerId != null ? `<div><b>Partner:</b> #${escapeHtml(String(p.partnerId))}${p.partnerName ? ` ${escapeHtml(String(p.partnerName))}` : ''}</div>` : '';
+  return `
+      <div style="font:12px/1.3 system-ui,Segoe UI,Roboto,Arial">
+        <div><b>Switch:</b> ${escapeHtml(String(p.name || ''))} <span style="opacity:.6">(#${escapeHtml(String(p.switchId ?? ''))})</span></div>
+        <div><b>Position:</b> ${escapeHtml(String(p.position || 'dynamic'))}</div>
+        <div><b>Main track:</b> ${track(p.mainTrackRoad, p.mainTrackS, p.mainTrackDir)}</div>
+        <div><b>Side track:</b> ${track(p.sideTrackRoad, p.sideTrackS, p.sideTrackDir)}</div>
+        ${partner}
+        <div><b>Defined on road:</b> #${escapeHtml(String(p.roadId ?? ''))}</div>
+      </div>`;
+}
+
+// Build HTML for station platform popup
+function buildPlatformHtml(p) {
+  const stationType = p.stationType ? ` <span style="opacity:.6">(${escapeHtml(String(p.stationType))})</span>` : '';
+  return `
+      <div style="font:12px/1.3 system-ui,Segoe UI,Roboto,Arial">
+        <div><b>Station:</b> ${escapeHtml(String(p.stationName || ''))} <span style="opacity:.6">(#${escapeHtml(String(p.stationId ?? ''))})</span>${stationType}</div>
+        <div><b>Platform:</b> ${escapeHtml(String(p.platformName || ''))} <span style="opacity:.6">(#${escapeHtml(String(p.platformId ?? ''))})</span></div>
+        <div><b>Road:</b> #${escapeHtml(String(p.roadId ?? ''))} ${escapeHtml(String(p.side || ''))} side, s ${Number(p.sStart||0).toFixed(2)} → ${Number(p.sEnd||0).toFixed(2)} m</div>
+      </div>`;
+}
+
+// Build HTML for curb line popup
+function buildCurbHtml(p) {
+  return `
+      <div style="font:12px/1.3 system-ui,Segoe UI,Roboto,Arial">
+        <div><b>Curb:</b> ${escapeHtml(String(p.roadName || ''))} <span style="opacity:.6">(#${escapeHtml(String(p.roadId ?? ''))})</span></div>
+        <div><b>Between:</b> ${escapeHtml(String(p.side || ''))} lane ${escapeHtml(String(p.laneId ?? ''))} <span style="opacity:.6">(${escapeHtml(String(p.laneType || 'n/a'))})</span> and sidewalk ${escapeHtml(String(p.sidewalkLaneId ?? ''))}</div>
+        <div><b>Height:</b> ${Number(p.height||0).toFixed(2)} m <span style="opacity:.6">(from ${p.source === 'height' ? 'lane height' : 'curb roadMark'})</span></div>
+        <div><b>s:</b> ${Number(p.s0||0).toFixed(2)} → ${Number(p.s1||0).toFixed(2)} m</div>
+      </div>`;
+}
+
+// Build HTML for junction surface popup
+function buildJunctionHtml(p) {
+  const name = p.name ? ` ${escapeHtml(String(p.name))}` : '';
+  return `
+      <div style="font:12px/1.3 system-ui,Segoe UI,Roboto,Arial">
+        <div><b>Junction:</b>${name} <span style="opacity:.6">(#${escapeHtml(String(p.junctionId ?? ''))}, ${escapeHtml(String(p.junctionType || 'default'))})</span></div>
+        <div><b>Connections:</b> ${Number(p.connections||0)} <span style="opacity:.6">(${Number(p.connectingRoads||0)} connecting roads)</span></div>
+        <div><b>Area:</b> ${Number(p.area||0)} m²</div>
+      </div>`;
+}
+
 // Build HTML for lane popup; include roadmark if present in props
-function buildLaneHtml(p) {
+function buildLaneHtml(p, at) {
   const rmType = p.roadmark ? `<div><b>RoadMark:</b> ${escapeHtml(String(p.roadmark))}</div>` : '';
   const rmColor = p.roadmarkColor ? `<div><b>RoadMark color:</b> ${escapeHtml(String(p.roadmarkColor))}</div>` : '';
   const rmWidth = (p.roadmarkWidth!=null && isFinite(p.roadmarkWidth)) ? `<div><b>RoadMark width:</b> ${Number(p.roadmarkWidth).toFixed(3)} m</div>` : '';
   const rmMat = p.roadmarkMaterial ? `<div><b>Material:</b> ${escapeHtml(String(p.roadmarkMaterial))}</div>` : '';
   const rmLC = p.roadmarkLaneChange ? `<div><b>Lane change:</b> ${escapeHtml(String(p.roadmarkLaneChange))}</div>` : '';
+  const roadType = p.roadType ? `<div><b>Road type:</b> ${escapeHtml(String(p.roadType))}</div>` : '';
+  const speed = (p.speedMax != null && p.speedMax !== '')
+    ? `<div><b>Speed limit:</b> ${p.speedMax === 'no limit' ? 'no limit' : `${escapeHtml(String(p.speedMax))} ${escapeHtml(String(p.speedUnit || 'm/s'))}`}${(p.speedKmh != null && p.speedUnit !== 'km/h') ? ` <span style="opacity:.6">(${Number(p.speedKmh).toFixed(0)} km/h)</span>` : ''}${p.speedSource === 'lane' ? ' <span style="opacity:.6">lane</span>' : ''}</div>`
+    : '';
+  const access = (p.accessAllow || p.accessDeny)
+    ? `<div><b>Access:</b> ${p.accessAllow ? `allow ${escapeHtml(String(p.accessAllow))}` : ''}${p.accessAllow && p.accessDeny ? '; ' : ''}${p.accessDeny ? `deny ${escapeHtml(String(p.accessDeny))}` : ''}</div>`
+    : '';
+  const surface = (p.surface || p.friction != null)
+    ? `<div><b>Surface:</b> ${escapeHtml(String(p.surface || 'n/a'))}${(p.friction != null && isFinite(p.friction)) ? ` <span style="opacity:.6">(μ ${Number(p.friction).toFixed(2)}${(p.roughness != null && isFinite(p.roughness)) ? `, roughness ${Number(p.roughness).toFixed(3)}` : ''})</span>` : ''}</div>`
+    : '';
+  const rule = p.laneRule ? `<div><b>Rule:</b> ${escapeHtml(String(p.laneRule))}</div>` : '';
+  const height = (p.heightInner != null || p.heightOuter != null)
+    ? `<div><b>Height:</b> ${Number(p.heightInner||0).toFixed(2)} / ${Number(p.heightOuter||0).toFixed(2)} m <span style="opacity:.6">(inner / outer)</span></div>`
+    : '';
+  const level = (p.laneLevel === true || p.laneLevel === 'true') ? ' <span style="opacity:.6">level</span>' : '';
   return `
       <div style="font:12px/1.3 system-ui,Segoe UI,Roboto,Arial">
         <div><b>Road:</b> ${escapeHtml(p.roadName || '')} <span style="opacity:.6">(#${p.roadId})</span></div>
-        <div><b>Lane:</b> ${p.side} ${p.laneId} <span style="opacity:.6">(${p.laneType||'n/a'})</span></div>`+
+        <div><b>Lane:</b> ${p.side} ${p.laneId} <span style="opacity:.6">(${p.laneType||'n/a'})</span>${level}</div>
+        ${roadType}
+        ${speed}
+        ${access}
+        ${surface}
+        ${rule}
+        ${height}
+        ${cursorHtml(at)}`+
         //${rmType}${rmColor}${rmWidth}${rmMat}${rmLC}
         `<div><b>Run s:</b> ${Number(p.s0||0).toFixed(2)} → ${Number(p.s1||0).toFixed(2)} m</div>
         <div><b>Sections:</b> ${Number(p.secStartS||0).toFixed(2)} → ${Number(p.secEndS||0).toFixed(2)} m</div>
@@ -0,0 +1,1321 @@
+// Map geometry for a parsed OpenDRIVE model (see parseOpenDrive) as GeoJSON: lane polygons, markings,
+// edges, objects, signals, lane travel-direction arrows, railroad switches, station platforms and
+// consistency markers.
+// Roads are built one at a time so callers (index.js, worker.js) can stream them; `projector` maps
+// local [x, y] to [lng, lat].
+// Junction surfaces are merged from the finished lane polygons with the global turf.
+
+import {
+  laneBordersAt,
+  laneShapeRecords,
+  laneHeightAt,
+  laneAttributesAt,
+  laneTravelDirection,
+  roadMarkLines,
+  elevationAt,
+  laneOffsetAt as roadLaneOffsetAt,
+  surfaceHeightAt,
+  signalValidLanes,
+  roadTypeAt,
+  speedLimitAt,
+  convertSpeed,
+} from './opendrive.js';
+import {
+  sampleGeometrySequence,
+  toLineString,
+  toPolygon,
+  toClosedPolygon,
+  toPoint,
+  fc,
+} from './geometry.js';
+import { checkOpenDrive } from './checker.js';
+
+const LAYERS = ['centerlines', 'lanes', 'markings', 'roadmarks', 'sidewalks', 'curbs', 'arrows', 'edges', 'objects', 'signals', 'switches', 'platforms'];
+
+// Lanes a curb separates from a raised sidewalk
+const CURB_LANE_TYPES = new Set(['driving', 'parking', 'bidirectional', 'biking', 'shoulder', 'stop', 'entry', 'exit']);
+
+// Distance between travel-direction arrows along a lane (m)
+const ARROW_SPACING = 25;
+
+// Platforms carry no width in OpenDRIVE; they are drawn as a band this wide next to the track (m)
+const PLATFORM_WIDTH = 3;
+
+// Roads kept by a geometry cache (see createGeometryCache); the least recently used go first
+const MAX_CACHED_ROADS = 5000;
+
+// cache: optional createGeometryCache() result, reused across builds with the same projector
+export function buildGeometry(model, projector, opts, cache) {
+  const ctx = createBuildContext(model, projector, opts, cache);
+  const parts = model.roads.map(road => buildRoadGeometry(road, ctx));
+  return { ...mergeRoadGeometry(parts), issues: buildIssueCollection(model, projector), intersection: buildJunctionSurfaces(model, parts), bounds: geometryBounds(parts, projector) };
+}
+
+// Shared state across roads: signals by id for signalReference lookups, rail content by the road
+// it is drawn on (switches on their main track, platform segments) and the cache key of the build options
+export function createBuildContext(model, projector, opts, cache) {
+  const signalsById = new Map();
+  const railByRoad = new Map();
+  const railOf = (roadId) => {
+    if (!railByRoad.has(roadId)) railByRoad.set(roadId, { switches: [], platforms: [] });
+    return railByRoad.get(roadId);
+  };
+  for (const road of model.roads) {
+    for (const sg of (road.signals || [])) signalsById.set(sg.id, { signal: sg, roadId: road.id });
+    for (const sw of (road.switches || [])) {
+      if (sw.mainTrack) railOf(sw.mainTrack.id).switches.push({ sw, roadId: road.id });
+    }
+  }
+  for (const station of (model.stations || [])) {
+    for (const platform of station.platforms) {
+      for (const segment of platform.segments) railOf(segment.roadId).platforms.push({ station, platform, segment });
+    }
+  }
+  const optsKey = cache ? hashJson({ opts: opts || {}, header: model.header }) : '';
+  return { projector, opts, signalsById, railByRoad, cache, optsKey };
+}
+
+// Per-road results by a hash of everything the road's geometry depends on: a rebuild only redoes
+// roads whose planView, lanes, objects, rail content, referenced signals or build options changed
+export function createGeometryCache(limit = MAX_CACHED_ROADS) {
+  return { parts: new Map(), limit, hits: 0, misses: 0 };
+}
+
+// Features of one road per layer plus its local bbox [minx, miny, maxx, maxy]; null when it has no geometry
+export function buildRoadGeometry(road, ctx) {
+  const { cache } = ctx;
+  if (!cache) return buildRoad(road, ctx);
+  const rail = ctx.railByRoad.get(road.id);
+  const refs = (road.signalReferences || []).map(sr => ctx.signalsById.get(sr.id) || null);
+  const key = `${road.id}:${ctx.optsKey}:${hashJson({ road, rail, refs })}`;
+  if (cache.parts.has(key)) {
+    const part = cache.parts.get(key);
+    cache.parts.delete(key); cache.parts.set(key, part); // most recently used last
+    cache.hits++;
+    return part;
+  }
+  cache.misses++;
+  const part = buildRoad(road, ctx);
+  cache.parts.set(key, part);
+  while (cache.parts.size > cache.limit) cache.parts.delete(cache.parts.keys().next().value);
+  return part;
+}
+
+function buildRoad(road, ctx) {
+  const { projector, opts, signalsById, railByRoad } = ctx;
+  // feature ids are unique per road, so cached and rebuilt roads mix without clashes
+  let uid = 0;
+  const nextId = (prefix) => `${prefix}_${road.id}_${++uid}`;
+  const geo = { roadId: road.id, bbox: [+Infinity, +Infinity, -Infinity, -Infinity] };
+  for (const k of LAYERS) geo[k] = [];
+  if (!road.planView || road.planView.length === 0) return null;
+
+  // Build required s-positions along road for straight segments
+  const enforceS = new Set();
+  enforceS.add(0);
+  if (Number.isFinite(road.length)) enforceS.add(road.length);
+  // planView boundaries
+  for (const g of (road.planView || [])) {
+    const s0 = Number(g.s) || 0;
+    const Lg = Number(g.length) || 0;
+    enforceS.add(s0);
+    if (Lg > 0) enforceS.add(s0 + Lg);
+  }
+  // laneSections and width records
+  for (const ls of (road.laneSections || [])) {
+    const secS = Number(ls.s) || 0;
+    enforceS.add(secS);
+    const pushWidths = (arr) => {
+      for (const ln of (arr || [])) {
+        const widths = laneShapeRecords(ln);
+        widths.forEach(w => enforceS.add(secS + (Number(w.sOffset) || 0)));
+      }
+    };
+    pushWidths(ls.left); pushWidths(ls.right);
+    const pushHeights = (arr) => {
+      for (const ln of (arr || [])) {
+        (ln.heights || []).forEach(h => enforceS.add(secS + (Number(h.sOffset) || 0)));
+      }
+    };
+    pushHeights(ls.left); pushHeights(ls.right);
+  }
+  // laneOffsets (carriageway lateral offset polylines)
+  for (const lo of (road.laneOffsets || [])) {
+    enforceS.add(Number(lo.s) || 0);
+  }
+  // elevation / superelevation records so heights change exactly at their joints
+  for (const rec of [...(road.elevations || []), ...(road.superelevations || [])]) {
+    enforceS.add(Number(rec.s) || 0);
+  }
+
+  // Subdivide width and laneOffset intervals using slope-aware step to capture curvature when center is straight
+  const factorStep = opts?.step ?? 0.6;
+  const widthDSMax = Math.max(0.5, Math.min(25, factorStep * 12));
+  // Сделаем ограничение угла для кривых ширины ближе к плановым кривым, чтобы детализация была однородной
+  const widthAngleBound = Math.min(0.08, Math.max(0.01, (opts?.maxAngle ?? 0.03)));
+  const addSubdiv = (s0, s1, ds) => {
+    if (!(s1 > s0)) return;
+    let t = s0 + ds;
+    while (t < s1 - 1e-6) { enforceS.add(t); t += ds; }
+  };
+  const maxAbs = (vals) => vals.reduce((m,v)=>Math.max(m, Math.abs(v)), 0);
+  const dsFromSlope = (maxSlope) => {
+    if (!(maxSlope > 1e-9)) return widthDSMax;
+    const byAngle = widthAngleBound / maxSlope;
+    return Math.max(0.5, Math.min(widthDSMax, byAngle));
+  };
+  // For each section and lane width piece
+  for (const ls of (road.laneSections || [])) {
+    const secS = Number(ls.s) || 0;
+    const secEnd = (function(){
+      // next section start or road end
+      const next = (road.laneSections || []).map(x=>x.s||0).filter(s=>s>secS).sort((a,b)=>a-b)[0];
+      return Number.isFinite(next) ? next : (road.length||0);
+    })();
+    const handleSide = (arr) => {
+      for (const ln of (arr || [])) {
+        const ws = laneShapeRecords(ln).slice().sort((a,b)=>(a.sOffset||0)-(b.sOffset||0));
+        for (let i=0;i<ws.length;i++){
+          const a = ws[i];
+          const sStart = secS + (Number(a.sOffset)||0);
+          const sEnd = (i+1<ws.length) ? (secS + (Number(ws[i+1].sOffset)||0)) : secEnd;
+          // slope of width poly3 over local ds in [0, D]
+          const D = Math.max(0, sEnd - sStart);
+          const b = Number(a.b)||0, c = Number(a.c)||0, d = Number(a.d)||0;
+          // m(ds) = b + 2c*ds + 3d*ds^2; check endpoints and critical point ds* = -c/(3d)
+          const candidates = [0, D];
+          if (Math.abs(d) > 1e-12) {
+            const dsc = -c / (3*d);
+            if (dsc > 0 && dsc < D) candidates.push(dsc);
+          }
+          const slopes = candidates.map(ds => b + 2*c*ds + 3*d*ds*ds);
+          const maxSlope = maxAbs(slopes);
+          const ds = dsFromSlope(maxSlope);
+          addSubdiv(sStart, sEnd, ds);
+        }
+      }
+    };
+    handleSide(ls.left); handleSide(ls.right);
+  }
+  // Subdivide laneOffset intervals
+  const los = (road.laneOffsets || []).slice().sort((a,b)=>(a.s||0)-(b.s||0));
+  for (let i=0;i<los.length;i++){
+    const rec = los[i];
+    const s0 = Number(rec.s)||0;
+    const s1 = (i+1<los.length) ? (Number(los[i+1].s)||0) : (road.length||0);
+    const D = Math.max(0, s1 - s0);
+    const b = Number(rec.b)||0, c = Number(rec.c)||0, d = Number(rec.d)||0;
+    const candidates = [0, D];
+    if (Math.abs(d) > 1e-12) {
+      const dsc = -c / (3*d);
+      if (dsc > 0 && dsc < D) candidates.push(dsc);
+    }
+    const slopes = candidates.map(ds => b + 2*c*ds + 3*d*ds*ds);
+    const maxSlope = maxAbs(slopes);
+    const ds = dsFromSlope(maxSlope);
+    addSubdiv(s0, s1, ds);
+  }
+
+  const ticks = Array.from(enforceS).filter(Number.isFinite).sort((a,b)=>a-b);
+
+  let samples = sampleGeometrySequence(road.planView, { step: opts?.step ?? 0.6, maxAngle: opts?.maxAngle ?? 0.03, forceS: ticks, zAt: (s) => elevationAt(road, s) });
+  // Build simplified centerline samples: compress straight segments to endpoints
+  const centerSamples = simplifyCenterlineSamples(samples, road.planView);
+  if (samples.length < 2) return null;
+
+  // bounds in local xy
+  const bbox = geo.bbox;
+  for (const [x, y] of samples) {
+    if (x < bbox[0]) bbox[0] = x; if (y < bbox[1]) bbox[1] = y; if (x > bbox[2]) bbox[2] = x; if (y > bbox[3]) bbox[3] = y;
+  }
+
+  const centerLine = toLineString(centerSamples, projector);
+  centerLine.properties = { roadId: road.id, roadName: road.name || '' };
+  geo.centerlines.push(centerLine);
+
+  // lanes: compute per-s sample offsets for each lane id on both sides
+  // enrich samples: enforce points at laneSection boundaries and width sOffsets to preserve exact joins
+  // ensure samples include exact tick points on curves too (interpolate/insert)
+  if (ticks.length) {
+    const sIdx = samples.map(p=>p[3]);
+    const out = [samples[0]];
+    for (let i=1;i<samples.length;i++){
+      const s0 = sIdx[i-1], s1 = sIdx[i];
+      const p0 = samples[i-1], p1 = samples[i];
+      // insert any ticks strictly between s0 and s1
+      for (const t of ticks) {
+        if (t > s0 + 1e-9 && t < s1 - 1e-9) {
+          const tt = (t - s0) / (s1 - s0);
+          out.push(interpPoint(p0, p1, tt));
+        }
+      }
+      out.push(p1);
+    }
+    samples = out.sort((a,b)=>a[3]-b[3]);
+  }
+
+  const sIndex = samples.map((p) => p[3]);
+
+  function sectionAt(s) {
+    // choose last laneSection with s <= s
+    let sec = road.laneSections[0] || null;
+    for (const ls of road.laneSections) {
+      if (s + 1e-9 >= (ls.s || 0)) sec = ls;
+    }
+    return sec;
+  }
+
+  const laneOffsetAt = (s) => roadLaneOffsetAt(road, s);
+
+  // Build offsets using CubicSpline sums and lane tracks
+
+  const EPS = 0.005; // meters; threshold where lane is considered vanished (smaller to avoid visible wedges)
+  const sectionBounds = (road.laneSections || []).map(ls => ls.s || 0).filter(s => s>0).sort((a,b)=>a-b);
+
+  function interpPoint(p1, p2, t) {
+    const x = p1[0] + (p2[0] - p1[0]) * t;
+    const y = p1[1] + (p2[1] - p1[1]) * t;
+    const th = p1[2] + (p2[2] - p1[2]) * t;
+    const s = p1[3] + (p2[3] - p1[3]) * t;
+    return [x, y, th, s, elevationAt(road, s)];
+  }
+
+  // Reference line sample at arbitrary s (clamped to the sampled range)
+  function poseAt(s) {
+    const sc = Math.max(sIndex[0], Math.min(sIndex[sIndex.length-1], s));
+    let lo = 0, hi = sIndex.length - 1;
+    while (hi - lo > 1) { const mid = (lo + hi) >> 1; if (sIndex[mid] <= sc) lo = mid; else hi = mid; }
+    const ds = sIndex[hi] - sIndex[lo];
+    return interpPoint(samples[lo], samples[hi], ds > 0 ? (sc - sIndex[lo]) / ds : 0);
+  }
+
+  // Height of a lane border at (s, t): road surface plus the lane's <height> inner/outer offset;
+  // level lanes keep the superelevation height of their inner border
+  function laneBorderHeight(side, ln, border, s, t, sec = sectionAt(s)) {
+    const lh = laneHeightAt(ln?.heights, s - (sec?.s || 0));
+    const levelT = ln?.level ? computeOffsets(side, ln.id, s, sec).inner : undefined;
+    return surfaceHeightAt(road, s, t, border === 'outer' ? lh.outer : lh.inner, levelT);
+  }
+
+  // Per-vertex heights of a lane border
+  function liftRun(run, track, border) {
+    for (const p of run) {
+      const s = p[3], t = p[5];
+      if (!Number.isFinite(t)) continue;
+      const sec = sectionAt(s);
+      const si = road.laneSections.indexOf(sec);
+      const node = track.nodes.find(n => n.si === si);
+      const ln = node ? (sec?.[track.side] || []).find(l => l.id === node.id) : null;
+      p[4] = laneBorderHeight(track.side, ln, border, s, t, sec);
+    }
+    return run;
+  }
+
+function laneTypeAt(side, laneId, s) {
+  const sec = sectionAt(s);
+  const ln = (sec?.[side] || []).find(l => l.id === laneId);
+  return ln ? (ln.type || 'none') : 'none';
+}
+
+  // Find active roadMark for a lane at absolute s along road
+  function roadMarkAt(side, laneId, s) {
+    const sec = sectionAt(s);
+    if (!sec) return null;
+    const ln = (sec?.[side] || []).find(l => l.id === laneId);
+    if (!ln || !ln.roadMarks || ln.roadMarks.length === 0) return null;
+    const sIn = s - (sec?.s || 0);
+    let rec = null;
+    for (const rm of ln.roadMarks) {
+      if (sIn + 1e-9 >= (rm.sOffset || 0)) rec = rm;
+    }
+    return rec;
+  }
+
+  // Access, material, rules, height and level flag of a lane at s as flat feature properties
+  function laneAttrPropsAt(side, laneId, s) {
+    const sec = sectionAt(s);
+    const ln = (sec?.[side] || []).find(l => l.id === laneId);
+    const a = laneAttributesAt(ln, s - (sec?.s || 0));
+    if (!a) return {};
+    const props = { laneLevel: a.level };
+    if (a.allow.length) props.accessAllow = a.allow.join(', ');
+    if (a.deny.length) props.accessDeny = a.deny.join(', ');
+    if (a.material) {
+      props.surface = a.material.surface;
+      props.friction = a.material.friction;
+      props.roughness = a.material.roughness;
+    }
+    if (a.rules.length) props.laneRule = a.rules.join('; ');
+    if (a.height) { props.heightInner = a.height.inner; props.heightOuter = a.height.outer; }
+    return props;
+  }
+
+  // Travel-direction arrows along a finished lane run (driving-like lanes only)
+  function pushLaneArrows(runInner, runOuter, props, laneId) {
+    if (!DRIVABLE_LANE_TYPES.has(props.laneType)) return;
+    const sec = sectionAt(0.5 * (props.s0 + props.s1));
+    const lane = (sec?.[props.side] || []).find(l => l.id === laneId);
+    const direction = laneTravelDirection(road, lane, props.side);
+    geo.arrows.push(...buildLaneArrows(runInner, runOuter, { ...props, laneId }, direction, projector));
+  }
+
+  // Road type and speed limit active at s for a lane (lane <speed> overrides road <type><speed>)
+  function speedPropsAt(side, laneId, s) {
+    const sec = sectionAt(s);
+    const ln = (sec?.[side] || []).find(l => l.id === laneId);
+    const rt = roadTypeAt(road, s);
+    const lim = speedLimitAt(road, ln, s - (sec?.s || 0), s);
+    const props = { roadType: rt ? rt.type : undefined };
+    if (lim) {
+      props.speedMax = Number.isFinite(lim.max) ? lim.max : 'no limit';
+      props.speedUnit = lim.unit;
+      props.speedSource = lim.source;
+      if (Number.isFinite(lim.ms)) props.speedKmh = Math.round(convertSpeed(lim.ms, 'm/s', 'km/h') * 10) / 10;
+    }
+    return props;
+  }
+
+  function computeOffsets(side, laneId, s, secOverride) {
+    const sec = secOverride || sectionAt(s);
+    // border distances handle <width> and <border> lanes alike
+    const borders = laneBordersAt(sec?.[side] || [], s - (sec?.s || 0));
+    let b = borders.get(laneId);
+    if (!b) {
+      // lane absent in this section: collapse onto the outermost inner border
+      let edge = 0;
+      for (const [id, v] of borders) if (Math.abs(id) < Math.abs(laneId)) edge = Math.max(edge, v.outer);
+      b = { inner: edge, outer: edge };
+    }
+    const wCur = Math.max(0, b.outer - b.inner);
+    const lo = laneOffsetAt(s);
+    const sign = side === 'left' ? 1 : -1;
+    return { wCur, outer: lo + sign * b.outer, inner: lo + sign * b.inner };
+  }
+
+  function buildLaneRuns(side, laneId) {
+    const features = [];
+    let runOuter = [];
+    let runInner = [];
+    let active = false;
+    let prevWidth = 0;
+    let runType = null;
+    for (let i = 0; i < samples.length; i++) {
+      const s = sIndex[i];
+      const { wCur, outer, inner } = computeOffsets(side, laneId, s);
+      const pOuter = offsetPoint(samples[i], outer);
+      const pInner = offsetPoint(samples[i], inner);
+      const typeNow = laneTypeAt(side, laneId, s);
+
+      const widthOk = wCur > EPS;
+      if (widthOk) {
+        if (!active) {
+          runType = typeNow;
+          // starting a run: add boundary point at EPS if crossing
+          if (i > 0 && prevWidth <= EPS) {
+            const s0 = sIndex[i-1];
+            const s1 = sIndex[i];
+            const off0 = computeOffsets(side, laneId, s0);
+            const w0 = off0.wCur;
+            const w1 = wCur;
+            const t = (w1 - w0) !== 0 ? (EPS - w0) / (w1 - w0) : 0;
+            const sp = interpPoint(samples[i-1], samples[i], t);
+            // Use linear interp of already computed outer offsets
+            const offPrevOuter = off0.outer;
+            const offStart = offPrevOuter + ( ( (side==='left') ? -1 : +1) * (w0 - EPS) ); // inner will use EPS
+            const offEnd = outer + ( ( (side==='left') ? -1 : +1) * (w1 - EPS) );
+            const offOuterInterp = offPrevOuter + (outer - offPrevOuter) * t;
+            const spOuter = offsetPoint(sp, offOuterInterp);
+            const spInner = offsetPoint(sp, side==='left' ? (offOuterInterp - EPS) : (offOuterInterp + EPS));
+            runOuter.push(spOuter);
+            runInner.push(spInner);
+          }
+          active = true;
+        }
+        // laneSection boundary with potential type change
+        if (i > 0) {
+          const s0 = sIndex[i-1];
+          const s1 = sIndex[i];
+          for (const sb of sectionBounds) {
+            if (s0 < sb && sb <= s1 + 1e-9) {
+              const typeBefore = laneTypeAt(side, laneId, sb - 1e-6);
+              const typeAfter = laneTypeAt(side, laneId, sb + 1e-6);
+              // Always insert exact boundary point using next section offsets to start slope immediately
+              const tB = (sb - s0) / (s1 - s0);
+              const spB = interpPoint(samples[i-1], samples[i], tB);
+              const offAfter = computeOffsets(side, laneId, sb + 1e-6, sectionAt(sb + 1e-6));
+              if (offAfter.wCur > EPS) {
+                const pO = offsetPoint(spB, offAfter.outer);
+                const pI = offsetPoint(spB, offAfter.inner);
+                runOuter.push(pO);
+                runInner.push(pI);
+              }
+              if (typeBefore !== typeAfter) {
+                const t = (sb - s0) / (s1 - s0);
+                const sp = interpPoint(samples[i-1], samples[i], t);
+                const offB = computeOffsets(side, laneId, sb - 1e-6, sectionAt(sb - 1e-6));
+                const pOB = offsetPoint(sp, offB.outer);
+                const pIB = offsetPoint(sp, offB.inner);
+                runOuter.push(pOB);
+                runInner.push(pIB);
+                if (runOuter.length >= 2 && runInner.length >= 2) {
+                  const props = { side, laneId, laneType: runType || typeBefore, roadId: road.id, roadName: road.name || '', roadLength: road.length };
+                  const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
+                  feat.id = `r${road.id}_l${laneId}_${runOuter[0][3].toFixed(2)}`;
+                  feat.properties.fid = feat.id;
+                  features.push(feat);
+                  const innerLine = toLineString(runInner, projector);
+                  innerLine.properties = { kind: 'lane_inner', side, laneId, roadId: road.id };
+                  geo.markings.push(innerLine);
+                }
+                runOuter = [];
+                runInner = [];
+                active = false;
+                runType = null;
+
+                // start new run immediately on the next section if width there is > EPS
+                const offA = computeOffsets(side, laneId, sb + 1e-6, sectionAt(sb + 1e-6));
+                if (offA.wCur > EPS) {
+                  const pOA = offsetPoint(sp, offA.outer);
+                  const pIA = offsetPoint(sp, offA.inner);
+                  runOuter.push(pOA);
+                  runInner.push(pIA);
+                  active = true;
+                  runType = typeAfter;
+                }
+              }
+            }
+          }
+        }
+        runOuter.push(pOuter);
+        runInner.push(pInner);
+      } else if (active) {
+        // finishing a run: add boundary point at EPS if crossing
+        if (i > 0) {
+          const s0 = sIndex[i-1];
+          const s1 = sIndex[i];
+          const off0 = computeOffsets(side, laneId, s0);
+          const w0 = off0.wCur;
+          const w1 = wCur;
+          const t = (w1 - w0) !== 0 ? (EPS - w0) / (w1 - w0) : 0;
+          const sp = interpPoint(samples[i-1], samples[i], t);
+          // outer offset interpolation
+          const offPrevOuter = off0.outer;
+          const offOuterInterp = offPrevOuter + (outer - offPrevOuter) * t;
+          const spOuter = offsetPoint(sp, offOuterInterp);
+          const spInner = offsetPoint(sp, side==='left' ? (offOuterInterp - EPS) : (offOuterInterp + EPS));
+          runOuter.push(spOuter);
+          runInner.push(spInner);
+        }
+        // finish feature
+        if (runOuter.length >= 2 && runInner.length >= 2) {
+          const props = { side, laneId, laneType: laneTypeFor(road, side, laneId), roadId: road.id, roadName: road.name || '', roadLength: road.length };
+          const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
+          feat.id = `r${road.id}_l${laneId}_${runOuter[0][3].toFixed(2)}`;
+          feat.properties.fid = feat.id;
+          features.push(feat);
+          // Add inner boundary as marking line
+          const innerLine = toLineString(runInner, projector);
+          innerLine.properties = { kind: 'lane_inner', side, laneId, roadId: road.id };
+          geo.markings.push(innerLine);
+        }
+        runOuter = [];
+        runInner = [];
+        active = false;
+      }
+      prevWidth = wCur;
+    }
+    // finalize last run
+    if (active && runOuter.length >= 2 && runInner.length >= 2) {
+      const props = { side, laneId, laneType: laneTypeFor(road, side, laneId), roadId: road.id, roadName: road.name || '', roadLength: road.length };
+      const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
+      feat.id = `r${road.id}_l${laneId}_${runOuter[0][3].toFixed(2)}`;
+      feat.properties.fid = feat.id;
+      features.push(feat);
+      const innerLine = toLineString(runInner, projector);
+      const s0 = runInner[0][3], s1 = runInner[runInner.length-1][3];
+      const rm0 = roadMarkAt(side, laneId, s0) || {};
+      innerLine.properties = {
+        kind: 'lane_inner', side, laneId, roadId: road.id,
+        s0, s1,
+        roadmark: rm0.type || undefined,
+        roadmarkColor: rm0.color || undefined,
+        roadmarkWidth: rm0.width,
+        roadmarkMaterial: rm0.material || undefined,
+        roadmarkLaneChange: rm0.laneChange || undefined
+      };
+      geo.markings.push(innerLine);
+    }
+    return features;
+  }
+
+  // Build and render using lane tracks across sections
+  function buildTracks(side) {
+    const tracks = [];
+    const nodes = new Map();
+    for (let si=0; si<road.laneSections.length; si++){
+      const ls = road.laneSections[si];
+      for (const ln of (ls[side]||[])) {
+        nodes.set(`${si}:${ln.id}`, { si, id: ln.id, pred: ln.predecessor, succ: ln.successor, type: ln.type });
+      }
+    }
+    const starts = [];
+    for (let si=0; si<road.laneSections.length; si++){
+      const ls = road.laneSections[si];
+      for (const ln of (ls[side]||[])) {
+        const key = `${si}:${ln.id}`;
+        const prevKey = si>0 ? `${si-1}:${ln.predecessor}` : null;
+        if (!prevKey || !nodes.has(prevKey)) starts.push(nodes.get(key));
+      }
+    }
+    for (const st of starts){
+      const track = []; let cur = st;
+      while (cur){ track.push(cur); const nsi = cur.si+1; const nls = road.laneSections[nsi]; if (!nls) break; let nextKey = null; if (cur.succ!=null && nodes.has(`${nsi}:${cur.succ}`)) nextKey = `${nsi}:${cur.succ}`; if (!nextKey){ for (const ln of (nls[side]||[])) { if (ln.predecessor === cur.id) { nextKey = `${nsi}:${ln.id}`; break; } }} cur = nextKey ? nodes.get(nextKey) : null; }
+      tracks.push({ side, nodes: track });
+    }
+    return tracks;
+  }
+  const tracksLeft = buildTracks('left');
+  const tracksRight = buildTracks('right');
+
+  function buildLaneRunsTrack(track) {
+    const features = [];
+    let runOuter = [];
+    let runInner = [];
+    let active = false;
+    let prevWidth = 0;
+    let runType = null;
+    for (let i=0;i<samples.length;i++){
+      const s = sIndex[i];
+      const sec = sectionAt(s);
+      const si = road.laneSections.indexOf(sec);
+      const node = track.nodes.find(n=>n.si===si);
+      if (!node){
+        if (active){
+          if (runOuter.length>=2 && runInner.length>=2){
+          const s0 = runOuter[0][3];
+          const s1 = runOuter[runOuter.length-1][3];
+          const props = { side: track.side, laneId: 'track', laneType: runType||'', roadId: road.id, roadName: road.name||'', roadLength: road.length, s0, s1, secStartS: sectionAt(s0)?.s || 0, secEndS: sectionAt(s1)?.s || 0 };
+          // attach representative roadmark to lane polygon as well (mid-run)
+          const rmMid = roadMarkAt(track.side, 'track', 0.5*(s0+s1));
+          if (rmMid) {
+            props.roadmark = rmMid.type || undefined;
+            props.roadmarkColor = rmMid.color || undefined;
+            props.roadmarkWidth = rmMid.width;
+            props.roadmarkMaterial = rmMid.material || undefined;
+            props.roadmarkLaneChange = rmMid.laneChange || undefined;
+          }
+          const sMid = 0.5*(s0+s1);
+          const nodeMid = track.nodes.find(n=>n.si===road.laneSections.indexOf(sectionAt(sMid)));
+          Object.assign(props, speedPropsAt(track.side, nodeMid?.id, sMid), laneAttrPropsAt(track.side, nodeMid?.id, sMid));
+          liftRun(runOuter, track, 'outer'); liftRun(runInner, track, 'inner');
+          const feat = track.side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
+          const laneIdUniq = nextId('lane');
+          feat.id = laneIdUniq; feat.properties.fid = laneIdUniq; features.push(feat);
+          pushLaneArrows(runInner, runOuter, props, nodeMid?.id);
+          const innerLine = toLineString(runInner, projector); 
+          const rm0 = roadMarkAt(track.side, (typeof props.laneId==='number'?props.laneId:node?.id), s0) || {};
+          innerLine.properties = { kind:'lane_inner', side: track.side, roadId: road.id, s0, s1, secStartS: props.secStartS, secEndS: props.secEndS, roadmark: rm0.type || undefined, roadmarkColor: rm0.color || undefined, roadmarkWidth: rm0.width, roadmarkMaterial: rm0.material || undefined, roadmarkLaneChange: rm0.laneChange || undefined };
+          const mid = nextId('mark'); innerLine.id = mid; innerLine.properties.mid = mid; geo.markings.push(innerLine);
+          }
+          runOuter=[]; runInner=[]; active=false; prevWidth=0;
+        }
+        continue;
+      }
+      // compute offsets using node.id in this section
+      const side = track.side;
+      const thisLane = (sec?.[side] || []).find(ln=>ln.id===node.id);
+      const { wCur, outer, inner } = computeOffsets(side, node.id, s, sec);
+      const pOuter = offsetPoint(samples[i], outer);
+      const pInner = offsetPoint(samples[i], inner);
+      const typeNow = (thisLane && (thisLane.type||'none')) || 'none';
+      const widthOk = wCur > EPS;
+      if (widthOk){
+        if (!active){
+          runType = typeNow; active = true;
+          if (i>0 && prevWidth<=EPS){
+            const s0=sIndex[i-1], s1=sIndex[i];
+            const sec0 = sectionAt(s0);
+            const si0 = road.laneSections.indexOf(sec0);
+            const node0 = track.nodes.find(n=>n.si===si0) || node;
+            const off0 = computeOffsets(side, node0.id, s0, sec0);
+            const w0 = off0.wCur;
+            const t = (wCur - w0)!==0 ? (EPS - w0)/(wCur - w0) : 0;
+            const sp = interpPoint(samples[i-1], samples[i], t);
+            const offPrevOuter = off0.outer;
+            const offOuterInterp = offPrevOuter + (outer - offPrevOuter)*t;
+            runOuter.push(offsetPoint(sp, offOuterInterp));
+            runInner.push(offsetPoint(sp, side==='left'? (offOuterInterp - EPS):(offOuterInterp + EPS)));
+          }
+        }
+        runOuter.push(pOuter); runInner.push(pInner);
+      } else if (active){
+        // close
+        if (i>0){
+          const s0=sIndex[i-1];
+          const sec0=sectionAt(s0);
+          const si0=road.laneSections.indexOf(sec0);
+          const node0=track.nodes.find(n=>n.si===si0) || node;
+          const off0=computeOffsets(side, node0.id, s0, sec0);
+          const w0=off0.wCur;
+          const t=(wCur - w0)!==0 ? (EPS - w0)/(wCur - w0) : 0;
+          const sp=interpPoint(samples[i-1], samples[i], t);
+          const offPrevOuter = off0.outer;
+          const offOuterInterp = offPrevOuter + (outer - offPrevOuter)*t;
+          runOuter.push(offsetPoint(sp, offOuterInterp));
+          runInner.push(offsetPoint(sp, side==='left'? (offOuterInterp - EPS):(offOuterInterp + EPS)));
+        }
+        if (runOuter.length>=2 && runInner.length>=2){
+          const s0 = runOuter[0][3];
+          const s1 = runOuter[runOuter.length-1][3];
+          const props = { side, laneId: node.id, laneType: runType||typeNow, roadId: road.id, roadName: road.name||'', roadLength: road.length, s0, s1, secStartS: sectionAt(s0)?.s || 0, secEndS: sectionAt(s1)?.s || 0 };
+          const rmMidLane = roadMarkAt(side, node.id, 0.5*(s0+s1));
+          if (rmMidLane){ props.roadmark = rmMidLane.type || undefined; props.roadmarkColor = rmMidLane.color || undefined; props.roadmarkWidth = rmMidLane.width; props.roadmarkMaterial = rmMidLane.material || undefined; props.roadmarkLaneChange = rmMidLane.laneChange || undefined; }
+          Object.assign(props, speedPropsAt(side, node.id, 0.5*(s0+s1)), laneAttrPropsAt(side, node.id, 0.5*(s0+s1)));
+          liftRun(runOuter, track, 'outer'); liftRun(runInner, track, 'inner');
+          const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
+          const laneIdUniq = nextId('lane');
+          feat.id = laneIdUniq; feat.properties.fid = laneIdUniq; features.push(feat);
+          pushLaneArrows(runInner, runOuter, props, node.id);
+          const innerLine = toLineString(runInner, projector);
+          const rm0 = roadMarkAt(side, node.id, s0) || {};
+          innerLine.properties = {
+            kind:'lane_inner', side, laneId: node.id, roadId: road.id,
+            s0, s1, secStartS: props.secStartS, secEndS: props.secEndS,
+            roadmark: rm0.type || undefined,
+            roadmarkColor: rm0.color || undefined,
+            roadmarkWidth: rm0.width,
+            roadmarkMaterial: rm0.material || undefined,
+            roadmarkLaneChange: rm0.laneChange || undefined
+          };
+          const mid = nextId('mark'); innerLine.id = mid; innerLine.properties.mid = mid; geo.markings.push(innerLine);
+        }
+        runOuter=[]; runInner=[]; active=false;
+      }
+      prevWidth = wCur;
+    }
+    if (active && runOuter.length>=2 && runInner.length>=2){
+      const side = track.side; const nodeLast = track.nodes[track.nodes.length-1];
+      const s0 = runOuter[0][3]; const s1 = runOuter[runOuter.length-1][3];
+      const props = { side, laneId: nodeLast?.id, laneType: runType||'', roadId: road.id, roadName: road.name||'', roadLength: road.length, s0, s1, secStartS: sectionAt(s0)?.s || 0, secEndS: sectionAt(s1)?.s || 0 };
+      const rmMidLane = roadMarkAt(side, nodeLast?.id, 0.5*(s0+s1));
+      if (rmMidLane){ props.roadmark = rmMidLane.type || undefined; props.roadmarkColor = rmMidLane.color || undefined; props.roadmarkWidth = rmMidLane.width; props.roadmarkMaterial = rmMidLane.material || undefined; props.roadmarkLaneChange = rmMidLane.laneChange || undefined; }
+      Object.assign(props, speedPropsAt(side, nodeLast?.id, 0.5*(s0+s1)), laneAttrPropsAt(side, nodeLast?.id, 0.5*(s0+s1)));
+      liftRun(runOuter, track, 'outer'); liftRun(runInner, track, 'inner');
+      const feat = side==='left' ? toPolygon(runOuter, runInner, projector, props) : toPolygon(runInner, runOuter, projector, props);
+      const laneIdUniq = nextId('lane');
+      feat.id = laneIdUniq; feat.properties.fid = laneIdUniq; features.push(feat);
+      pushLaneArrows(runInner, runOuter, props, nodeLast?.id);
+      const innerLine = toLineString(runInner, projector);
+      const rm0 = roadMarkAt(side, nodeLast?.id, s0) || {};
+      innerLine.properties = {
+        kind:'lane_inner', side, laneId: nodeLast?.id, roadId: road.id,
+        s0, s1, secStartS: props.secStartS, secEndS: props.secEndS,
+        roadmark: rm0.type || undefined,
+        roadmarkColor: rm0.color || undefined,
+        roadmarkWidth: rm0.width,
+        roadmarkMaterial: rm0.material || undefined,
+        roadmarkLaneChange: rm0.laneChange || undefined
+      };
+      const mid = nextId('mark'); innerLine.id = mid; innerLine.properties.mid = mid; geo.markings.push(innerLine);
+    }
+    return features;
+  }
+
+  // sidewalk lanes get their own layer
+  for (const tr of [...tracksLeft, ...tracksRight]) {
+    for (const f of buildLaneRunsTrack(tr)) (f.properties.laneType === 'sidewalk' ? geo.sidewalks : geo.lanes).push(f);
+  }
+
+  // Curbs: the shared border of a carriageway lane and a neighbouring sidewalk that is raised there,
+  // by the sidewalk's <height> on that edge or a 'curb' roadMark on the border
+  for (const side of ['left', 'right']) {
+    const sign = side === 'left' ? 1 : -1;
+    const runs = new Map(); // "innerId|outerId" -> { points, props }
+    const flush = (key) => {
+      const run = runs.get(key);
+      runs.delete(key);
+      if (run.points.length < 2) return;
+      const line = toLineString(run.points, projector);
+      line.properties = { ...run.props, s0: run.points[0][3], s1: run.points[run.points.length - 1][3] };
+      line.properties.height = Math.round(run.height * 1000) / 1000;
+      geo.curbs.push(line);
+    };
+    for (let i = 0; i < samples.length; i++) {
+      const s = sIndex[i];
+      const sec = sectionAt(s);
+      const ds = s - (sec?.s || 0);
+      const lanes = (sec?.[side] || []).slice().sort((a, b) => Math.abs(a.id) - Math.abs(b.id));
+      const borders = laneBordersAt(lanes, ds);
+      const seen = new Set();
+      for (let k = 0; k + 1 < lanes.length; k++) {
+        const a = lanes[k], b = lanes[k + 1];
+        const ta = a.type || 'none', tb = b.type || 'none';
+        const walk = ta === 'sidewalk' ? a : (tb === 'sidewalk' ? b : null);
+        const carriage = walk === a ? b : a;
+        if (!walk || !CURB_LANE_TYPES.has(carriage.type || 'none')) continue;
+        const hgt = laneHeightAt(walk.heights, ds);
+        const height = walk === b ? hgt.inner : hgt.outer;
+        const mark = roadMarkAt(side, a.id, s);
+        const byMark = !!mark && mark.type === 'curb';
+        if (!(height > 1e-3) && !byMark) continue;
+        const key = `${a.id}|${b.id}`;
+        seen.add(key);
+        const tBorder = laneOffsetAt(s) + sign * borders.get(a.id).outer;
+        const p = offsetPoint(samples[i], tBorder);
+        // on the carriageway side of the step, where that lane's polygon ends; `height` is the step up
+        p[4] = laneBorderHeight(side, carriage, carriage === a ? 'outer' : 'inner', s, tBorder, sec);
+        let run = runs.get(key);
+        if (!run) {
+          run = { points: [], height: 0, props: { kind: 'curb', roadId: road.id, roadName: road.name || '', side, sidewalkLaneId: walk.id, laneId: carriage.id, laneType: carriage.type || 'none', source: height > 1e-3 ? 'height' : 'roadMark' } };
+          runs.set(key, run);
+        }
+        run.height = Math.max(run.height, height);
+        run.points.push(p);
+      }
+      for (const key of [...runs.keys()]) if (!seen.has(key)) flush(key);
+    }
+    for (const key of [...runs.keys()]) flush(key);
+  }
+
+  // Carriageway outer edges (exclude sidewalks)
+  const leftEdge = [];
+  const rightEdge = [];
+  for (let i = 0; i < samples.length; i++) {
+    const s = sIndex[i];
+    const sec = sectionAt(s);
+    const lo = laneOffsetAt(s);
+    const bordersLeft = laneBordersAt(sec?.left || [], s - (sec?.s || 0));
+    let sumLeft = 0;
+    let edgeLeft = null; // outermost carriageway lane: the edge is its outer border
+    for (const ln of (sec?.left || [])) {
+      if ((ln.type || 'none') === 'sidewalk') continue;
+      const b = bordersLeft.get(ln.id);
+      sumLeft += Math.max(0, b.outer - b.inner);
+      if (!edgeLeft || Math.abs(ln.id) > Math.abs(edgeLeft.id)) edgeLeft = ln;
+    }
+    let sumRight = 0;
+    let edgeRight = null;
+    // right: sum absolute widths of considered lanes
+    const bordersRight = laneBordersAt(sec?.right || [], s - (sec?.s || 0));
+    for (const ln of (sec?.right || [])) {
+      if ((ln.type || 'none') === 'sidewalk') continue;
+      const b = bordersRight.get(ln.id);
+      sumRight += Math.max(0, b.outer - b.inner);
+      if (!edgeRight || Math.abs(ln.id) > Math.abs(edgeRight.id)) edgeRight = ln;
+    }
+    const pL = offsetPoint(samples[i], lo + sumLeft);
+    const pR = offsetPoint(samples[i], lo - sumRight);
+    pL[4] = laneBorderHeight('left', edgeLeft, 'outer', s, lo + sumLeft, sec);
+    pR[4] = laneBorderHeight('right', edgeRight, 'outer', s, lo - sumRight, sec);
+    leftEdge.push(pL);
+    rightEdge.push(pR);
+  }
+  const leftEdgeLine = toLineString(leftEdge, projector); leftEdgeLine.properties = { kind: 'edge', side: 'left', roadId: road.id };
+  const rightEdgeLine = toLineString(rightEdge, projector); rightEdgeLine.properties = { kind: 'edge', side: 'right', roadId: road.id };
+  geo.edges.push(leftEdgeLine, rightEdgeLine);
+
+  // outer border of a lane (center lane: the lane-offset line), where its roadMarks are painted
+  const markBorderAt = (side, laneId, s, sec) => (side === 'center' ? laneOffsetAt(s) : computeOffsets(side, laneId, s, sec).outer);
+  geo.roadmarks.push(...buildRoadMarkFeatures(road, poseAt, sIndex, markBorderAt, projector));
+  geo.objects.push(...buildObjectFeatures(road, poseAt, sIndex, projector));
+  geo.signals.push(...buildSignalFeatures(road, poseAt, sectionAt, projector, signalsById));
+  const rail = railByRoad.get(road.id);
+  if (rail) {
+    // outer border of all lanes on one side
+    const sideEdgeAt = (side, s) => {
+      const sec = sectionAt(s);
+      let w = 0;
+      for (const b of laneBordersAt(sec?.[side] || [], s - (sec?.s || 0)).values()) w = Math.max(w, b.outer);
+      return laneOffsetAt(s) + (side === 'left' ? w : -w);
+    };
+    geo.switches.push(...buildSwitchFeatures(road, rail.switches, poseAt, projector));
+    geo.platforms.push(...buildPlatformFeatures(road, rail.platforms, poseAt, sIndex, sideEdgeAt, projector));
+  }
+  // every feature gets an id, so map sources can be updated feature by feature (see index.js)
+  for (const k of LAYERS) geo[k].forEach((f, i) => { if (f.id == null) f.id = `${k}_${road.id}_${i}`; });
+  return geo;
+}
+
+// Concatenate per-road results into one FeatureCollection per layer
+export function mergeRoadGeometry(parts) {
+  const out = {};
+  for (const k of LAYERS) out[k] = fc(parts.flatMap(p => (p ? p[k] : [])));
+  return out;
+}
+
+// [[lng, lat], [lng, lat]] corners of the local bbox over all roads, for fitBounds
+export function geometryBounds(parts, projector) {
+  let minx = +Infinity, miny = +Infinity, maxx = -Infinity, maxy = -Infinity;
+  for (const p of parts) {
+    if (!p) continue;
+    minx = Math.min(minx, p.bbox[0]); miny = Math.min(miny, p.bbox[1]);
+    maxx = Math.max(maxx, p.bbox[2]); maxy = Math.max(maxy, p.bbox[3]);
+  }
+  return isFinite(minx) ? [projector([minx, miny]), projector([maxx, maxy])] : null;
+}
+
+// Lane types a vehicle may drive on; these make up a junction's surface
+const DRIVABLE_LANE_TYPES = new Set(['driving', 'bidirectional', 'entry', 'exit', 'onRamp', 'offRamp', 'connectingRamp', 'slipLane', 'stop']);
+
+// Parts smaller than this (m²) are slivers left between lane polygons, not junction surface
+const MIN_SURFACE_AREA = 1;
+
+// One surface per junction: union of its connecting roads' drivable lane polygons, holes dropped.
+// Junctions whose connecting roads do not touch keep one polygon per part (MultiPolygon).
+export function buildJunctionSurfaces(model, parts) {
+  const lanesByRoad = new Map();
+  for (const p of parts) {
+    if (!p) continue;
+    const polys = p.lanes.filter(f => DRIVABLE_LANE_TYPES.has(f.properties.laneType) && f.geometry?.type === 'Polygon');
+    if (polys.length) lanesByRoad.set(p.roadId, polys);
+  }
+  const out = [];
+  for (const j of (model.junctions || [])) {
+    const roadIds = new Set(j.connections.map(c => c.connectingRoad));
+    const polys = [];
+    for (const id of roadIds) {
+      for (const f of (lanesByRoad.get(id) || [])) {
+        // 2D rings: heights do not matter for the footprint
+        polys.push(turf.polygon(f.geometry.coordinates.map(ring => ring.map(c => [c[0], c[1]]))));
+      }
+    }
+    if (!polys.length) continue;
+    const merged = unionAll(polys);
+    if (!merged) continue;
+    const rings = (merged.geometry.type === 'Polygon' ? [merged.geometry.coordinates] : merged.geometry.coordinates)
+      .map(poly => poly[0])
+      .filter(ring => turf.area(turf.polygon([ring])) >= MIN_SURFACE_AREA);
+    if (!rings.length) continue;
+    const geometry = rings.length === 1
+      ? { type: 'Polygon', coordinates: [rings[0]] }
+      : { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+    const feature = { type: 'Feature', properties: {
+      kind: 'junction', junctionId: j.id, name: j.name || '', junctionType: j.type,
+      connections: j.connections.length, connectingRoads: roadIds.size,
+    }, geometry };
+    feature.properties.area = Math.round(turf.area(feature));
+    feature.id = `junction_${j.id}`;
+    out.push(feature);
+  }
+  return fc(out);
+}
+
+// turf.union over all polygons; polygons the clipper rejects are left out one by one
+function unionAll(polys) {
+  if (polys.length === 1) return polys[0];
+  try { return turf.union(fc(polys)); } catch {}
+  let acc = null;
+  for (const p of polys) {
+    try { acc = acc ? (turf.union(fc([acc, p])) || acc) : p; } catch {}
+  }
+  return acc;
+}
+
+export function buildIssueCollection(model, projector) {
+  return fc(buildIssueFeatures(checkOpenDrive(model), projector));
+}
+
+// Consistency issues with a location become markers; the rest only appear in the list
+function buildIssueFeatures(issues, projector) {
+  const out = [];
+  issues.forEach((it, i) => {
+    const props = { kind: 'issue', idx: i, severity: it.severity, code: it.code, message: it.message, roadId: it.roadId, junctionId: it.junctionId, s: it.s, located: Number.isFinite(it.x) && Number.isFinite(it.y) };
+    out.push(props.located ? toPoint([it.x, it.y], projector, props) : { type: 'Feature', properties: props, geometry: null });
+  });
+  return out;
+}
+
+// OpenDRIVE mark colors as paint colors ('standard' is white)
+const ROADMARK_COLOR = {
+  standard: '#ffffff', white: '#ffffff', yellow: '#ffd200', red: '#e53935', blue: '#1e88e5',
+  green: '#43a047', orange: '#fb8c00', violet: '#8e24aa', black: '#212121',
+};
+
+// Painted roadMarks as metric polygons: each lane's marks follow its outer border over the
+// roadMark's s range; dashes are cut by <line> length/space/sOffset and shifted by tOffset,
+// <explicit> lines are emitted once each. Stripes follow the sampled reference line.
+function buildRoadMarkFeatures(road, poseAt, sIndex, borderAt, projector) {
+  const out = [];
+  const secs = road.laneSections || [];
+  const MAX_DASHES = 20000;
+  let dashes = 0;
+  const colorOf = (c, type) => {
+    if (type === 'grass') return '#7cb342';
+    if (type === 'curb') return '#9e9e9e';
+    return ROADMARK_COLOR[String(c || 'standard').toLowerCase()] || '#ffffff';
+  };
+  function stripe(side, laneId, sec, s0, s1, tOffset, width, props) {
+    if (!(s1 - s0 > 1e-3) || !(width > 0)) return;
+    const ss = [s0];
+    let lo = 0, hi = sIndex.length;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (sIndex[mid] <= s0) lo = mid + 1; else hi = mid; }
+    for (let i = lo; i < sIndex.length && sIndex[i] < s1; i++) ss.push(sIndex[i]);
+    ss.push(s1);
+    const upper = [], lower = [];
+    for (const s of ss) {
+      const pose = poseAt(s);
+      const t = borderAt(side, laneId, s, sec) + tOffset;
+      const z = surfaceHeightAt(road, s, t);
+      const pu = offsetPoint(pose, t + width / 2); pu[4] = z;
+      const pl = offsetPoint(pose, t - width / 2); pl[4] = z;
+      upper.push(pu); lower.push(pl);
+    }
+    out.push(toPolygon(upper, lower, projector, Object.assign({ s0, s1, width }, props)));
+  }
+  secs.forEach((sec, si) => {
+    const secS = sec.s || 0;
+    const secE = si + 1 < secs.length ? (secs[si + 1].s || 0) : (road.length || 0);
+    for (const side of ['left', 'center', 'right']) {
+      for (const ln of (sec[side] || [])) {
+        const rms = ln.roadMarks || [];
+        rms.forEach((rm, ri) => {
+          const sa = secS + (rm.sOffset || 0);
+          const sb = ri + 1 < rms.length ? secS + (rms[ri + 1].sOffset || 0) : secE;
+          if (!(sb > sa)) return;
+          const type = String(rm.type || 'none').toLowerCase();
+          const base = {
+            kind: 'roadmark', roadId: road.id, roadName: road.name || '', side, laneId: ln.id,
+            roadmark: rm.type, roadmarkMaterial: rm.material, roadmarkLaneChange: rm.laneChange,
+          };
+          // <explicit> lines replace the type's repeating pattern
+          const lines = (rm.explicit && rm.explicit.length) ? [] : roadMarkLines(rm, side);
+          for (const line of lines) {
+            const props = Object.assign({}, base, { color: colorOf(line.color, type), rule: line.rule });
+            if (!(line.length > 0) || !(line.space > 0)) {
+              stripe(side, ln.id, sec, sa + (line.sOffset || 0), sb, line.tOffset || 0, line.width, props);
+              continue;
+            }
+            for (let s = sa + (line.sOffset || 0); s < sb && dashes < MAX_DASHES; s += line.length + line.space, dashes++) {
+              stripe(side, ln.id, sec, s, Math.min(s + line.length, sb), line.tOffset || 0, line.width, props);
+            }
+          }
+          for (const ex of (rm.explicit || [])) {
+            const s0 = sa + (ex.sOffset || 0);
+            const w = (Number.isFinite(ex.width) && ex.width > 0) ? ex.width : (Number.isFinite(rm.width) && rm.width > 0 ? rm.width : 0.12);
+            const props = Object.assign({}, base, { color: colorOf(rm.color, type), rule: ex.rule, explicit: true });
+            stripe(side, ln.id, sec, s0, Math.min(s0 + (ex.length || 0), sb), ex.tOffset || 0, w, props);
+          }
+        });
+      }
+    }
+  });
+  return out;
+}
+
+// Signals and signal references as oriented points. `bearing` (deg clockwise from north) points
+// along the direction of travel the signal applies to: +s for '+', -s for '-'.
+function buildSignalFeatures(road, poseAt, sectionAt, projector, signalsById) {
+  const out = [];
+  const bearingOf = (theta, orientation, hOffset) => {
+    const th = theta + (hOffset || 0) + (orientation === '-' ? Math.PI : 0);
+    return ((90 - th * 180 / Math.PI) % 360 + 360) % 360;
+  };
+  const place = (rec, zOffset) => {
+    const p = offsetPoint(poseAt(rec.s), rec.t);
+    p[4] = surfaceHeightAt(road, rec.s, rec.t) + (zOffset || 0);
+    return p;
+  };
+  const signalProps = (sg) => ({
+    signalId: sg.id, name: sg.name || '', country: sg.country, type: sg.type, subtype: sg.subtype,
+    value: sg.value, unit: sg.unit, text: sg.text, dynamic: !!sg.dynamic,
+    dependencies: (sg.dependencies || []).map(d => d.type ? `${d.id} (${d.type})` : d.id).join(', '),
+  });
+  for (const sg of (road.signals || [])) {
+    const p = place(sg, sg.zOffset);
+    const props = Object.assign({
+      kind: 'signal', roadId: road.id, s: sg.s, t: sg.t, zOffset: sg.zOffset, orientation: sg.orientation,
+      bearing: bearingOf(p[2], sg.orientation, sg.hOffset), oriented: sg.orientation !== 'none',
+      validLanes: signalValidLanes(sg, sectionAt(sg.s)).join(', '),
+    }, signalProps(sg));
+    out.push(toPoint(p, projector, props));
+  }
+  for (const sr of (road.signalReferences || [])) {
+    const ref = signalsById.get(sr.id);
+    const p = place(sr, ref ? ref.signal.zOffset : 0);
+    const props = Object.assign({}, ref ? signalProps(ref.signal) : { signalId: sr.id }, {
+      kind: 'signalReference', roadId: road.id, signalRoadId: ref ? ref.roadId : undefined, s: sr.s, t: sr.t,
+      orientation: sr.orientation, bearing: bearingOf(p[2], sr.orientation, 0), oriented: sr.orientation !== 'none',
+      validLanes: signalValidLanes(sr, sectionAt(sr.s)).join(', '),
+    });
+    out.push(toPoint(p, projector, props));
+  }
+  return out;
+}
+
+// Railroad switches as points on their main track, pointing along its dir
+function buildSwitchFeatures(road, switches, poseAt, projector) {
+  const out = [];
+  for (const { sw, roadId } of switches) {
+    const s = Math.max(0, Math.min(Number(road.length) || 0, sw.mainTrack.s));
+    const p = poseAt(s);
+    const th = p[2] + (sw.mainTrack.dir === '-' ? Math.PI : 0);
+    out.push(toPoint(p, projector, {
+      kind: 'switch', switchId: sw.id, name: sw.name, position: sw.position, roadId, s,
+      bearing: ((90 - th * 180 / Math.PI) % 360 + 360) % 360,
+      mainTrackRoad: sw.mainTrack.id, mainTrackS: sw.mainTrack.s, mainTrackDir: sw.mainTrack.dir,
+      sideTrackRoad: sw.sideTrack?.id, sideTrackS: sw.sideTrack?.s, sideTrackDir: sw.sideTrack?.dir,
+      partnerId: sw.partner?.id, partnerName: sw.partner?.name,
+    }));
+  }
+  return out;
+}
+
+// Points every ARROW_SPACING along the middle of a lane run (inner/outer borders sampled in step);
+// `bearing` follows the travel direction, along the run for 'both' and 'none'
+function buildLaneArrows(runInner, runOuter, props, direction, projector) {
+  const mid = runInner.map((p, i) => {
+    const q = runOuter[i];
+    return [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2, p[2], p[3], ((p[4] || 0) + (q[4] || 0)) / 2];
+  });
+  const cum = [0];
+  for (let i = 1; i < mid.length; i++) cum.push(cum[i - 1] + Math.hypot(mid[i][0] - mid[i - 1][0], mid[i][1] - mid[i - 1][1]));
+  const len = cum[cum.length - 1];
+  if (!(len > 1)) return [];
+  const n = Math.max(1, Math.floor(len / ARROW_SPACING));
+  const out = [];
+  let i = 1;
+  for (let k = 0; k < n; k++) {
+    const d = (k + 0.5) * len / n;
+    while (i < mid.length - 1 && cum[i] < d) i++;
+    const a = mid[i - 1], b = mid[i];
+    const f = cum[i] > cum[i - 1] ? (d - cum[i - 1]) / (cum[i] - cum[i - 1]) : 0;
+    const th = Math.atan2(b[1] - a[1], b[0] - a[0]) + (direction === 'backward' ? Math.PI : 0);
+    const p = [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, th, a[3] + (b[3] - a[3]) * f, a[4] + (b[4] - a[4]) * f];
+    out.push(toPoint(p, projector, {
+      kind: 'laneArrow', roadId: props.roadId, roadName: props.roadName, side: props.side, laneId: props.laneId, laneType: props.laneType,
+      direction, s: p[3], bearing: ((90 - th * 180 / Math.PI) % 360 + 360) % 360,
+    }));
+  }
+  return out;
+}
+
+// Station platform segments as PLATFORM_WIDTH bands outside the road's lanes on their side
+function buildPlatformFeatures(road, platforms, poseAt, sIndex, sideEdgeAt, projector) {
+  const out = [];
+  const L = Number(road.length) || 0;
+  for (const { station, platform, segment } of platforms) {
+    const s0 = Math.max(0, Math.min(L, Math.min(segment.sStart, segment.sEnd)));
+    const s1 = Math.max(0, Math.min(L, Math.max(segment.sStart, segment.sEnd)));
+    if (!(s1 > s0)) continue;
+    const svals = [s0, ...sIndex.filter(s => s > s0 + 1e-9 && s < s1 - 1e-9), s1];
+    const sign = segment.side === 'left' ? 1 : -1;
+    const inner = [], outer = [];
+    for (const s of svals) {
+      const p = poseAt(s);
+      const t = sideEdgeAt(segment.side, s);
+      const a = offsetPoint(p, t), b = offsetPoint(p, t + sign * PLATFORM_WIDTH);
+      a[4] = surfaceHeightAt(road, s, t);
+      b[4] = a[4];
+      inner.push(a);
+      outer.push(b);
+    }
+    out.push(toPolygon(inner, outer, projector, {
+      kind: 'platform', stationId: station.id, stationName: station.name, stationType: station.type,
+      platformId: platform.id, platformName: platform.name, roadId: road.id, side: segment.side, sStart: s0, sEnd: s1,
+    }));
+  }
+  return out;
+}
+
+// Road objects as point / line / polygon features. Objects are placed by s/t/zOffset with hdg
+// relative to the reference line; cornerLocal outlines use the object's u/v frame, cornerRoad
+// outlines absolute s/t. Repeats are expanded along s (distance 0 = one continuous object).
+function buildObjectFeatures(road, poseAt, sIndex, projector) {
+  const out = [];
+  const roadPoint = (s, t, dz = 0) => {
+    const p = offsetPoint(poseAt(s), t);
+    p[4] = surfaceHeightAt(road, s, t) + dz;
+    return p;
+  };
+  const localPoint = (origin, hdg, u, v, z) => {
+    const c = Math.cos(hdg), sn = Math.sin(hdg);
+    return [origin[0] + u * c - v * sn, origin[1] + u * sn + v * c, hdg, origin[3], z];
+  };
+  const lerp = (a, b, f) => (Number.isFinite(a) && Number.isFinite(b)) ? a + (b - a) * f : (Number.isFinite(a) ? a : b);
+
+  function emitObject(obj, s, t, zOffset, dims, props, useRoadCorners) {
+    const origin = roadPoint(s, t, zOffset);
+    const hdg = origin[2] + (obj.hdg || 0);
+    const base = Object.assign({
+      kind: 'object', objectId: obj.id, name: obj.name || '', objectType: obj.type, subtype: obj.subtype,
+      roadId: road.id, s, t, zOffset, hdg: obj.hdg || 0, height: dims.height,
+      markings: (obj.markings || []).length,
+    }, props);
+    const outlines = (obj.outlines || []).filter(ol => useRoadCorners || ol.corners.every(c => c.kind === 'local'));
+    if (outlines.length) {
+      for (const ol of outlines) {
+        const pts = ol.corners.map(c => c.kind === 'road'
+          ? roadPoint(c.s, c.t, c.dz)
+          : localPoint(origin, hdg, c.u, c.v, origin[4] + c.z));
+        if (pts.length < 2) continue;
+        const props = Object.assign({}, base, { outlineId: ol.id, fillType: ol.fillType });
+        out.push(ol.closed && pts.length >= 3 ? toClosedPolygon(pts, projector, props) : lineFeature(pts, props));
+      }
+      return;
+    }
+    if (dims.length > 0 && dims.width > 0) {
+      const hl = dims.length / 2, hw = dims.width / 2;
+      const z = origin[4];
+      const pts = [[-hl, -hw], [hl, -hw], [hl, hw], [-hl, hw]].map(([u, v]) => localPoint(origin, hdg, u, v, z));
+      out.push(toClosedPolygon(pts, projector, base));
+    } else if (dims.radius > 0) {
+      const pts = [];
+      for (let k = 0; k < 16; k++) {
+        const a = (k / 16) * 2 * Math.PI;
+        pts.push(localPoint(origin, hdg, dims.radius * Math.cos(a), dims.radius * Math.sin(a), origin[4]));
+      }
+      out.push(toClosedPolygon(pts, projector, base));
+    } else {
+      out.push(toPoint(origin, projector, base));
+    }
+  }
+
+  function lineFeature(pts, props) {
+    const f = toLineString(pts, projector);
+    f.properties = props;
+    return f;
+  }
+
+  // reference line s positions inside [s0, s1] including both ends
+  const sRange = (s0, s1) => {
+    const vals = [s0, ...sIndex.filter(v => v > s0 + 1e-6 && v < s1 - 1e-6), s1];
+    return vals;
+  };
+
+  for (const obj of (road.objects || [])) {
+    const dims = { length: obj.length, width: obj.width, radius: obj.radius, height: obj.height };
+    if (!(obj.repeats && obj.repeats.length)) {
+      emitObject(obj, obj.s, obj.t, obj.zOffset, dims, {}, true);
+      continue;
+    }
+    for (const rp of obj.repeats) {
+      const L = Math.max(0, rp.length);
+      if (rp.distance > 0) {
+        const n = Math.floor(L / rp.distance + 1e-9);
+        for (let k = 0; k <= n; k++) {
+          const f = L > 0 ? (k * rp.distance) / L : 0;
+          const d = {
+            length: lerp(rp.lengthStart, rp.lengthEnd, f) ?? obj.length,
+            width: lerp(rp.widthStart, rp.widthEnd, f) ?? obj.width,
+            radius: lerp(rp.radiusStart, rp.radiusEnd, f) ?? obj.radius,
+            height: lerp(rp.heightStart, rp.heightEnd, f) ?? obj.height,
+          };
+          emitObject(obj, rp.s + k * rp.distance, lerp(rp.tStart, rp.tEnd, f), lerp(rp.zOffsetStart, rp.zOffsetEnd, f), d, { repeatIndex: k }, false);
+        }
+        continue;
+      }
+      // continuous repeat: strip between t +- width/2 when a width is given, else a line at t
+      const svals = sRange(rp.s, rp.s + L);
+      const fAt = (s) => (L > 0 ? (s - rp.s) / L : 0);
+      const tAt = (s) => lerp(rp.tStart, rp.tEnd, fAt(s));
+      const zAt = (s) => lerp(rp.zOffsetStart, rp.zOffsetEnd, fAt(s));
+      const wAt = (s) => lerp(rp.widthStart, rp.widthEnd, fAt(s)) ?? obj.width ?? 0;
+      const props = {
+        kind: 'object', objectId: obj.id, name: obj.name || '', objectType: obj.type, subtype: obj.subtype,
+        roadId: road.id, s: rp.s, s1: rp.s + L, t: rp.tStart, zOffset: rp.zOffsetStart, continuous: true,
+        height: lerp(rp.heightStart, rp.heightEnd, 0) ?? obj.height,
+      };
+      if (svals.some(s => wAt(s) > 0)) {
+        const left = svals.map(s => roadPoint(s, tAt(s) + wAt(s) / 2, zAt(s)));
+        const right = svals.map(s => roadPoint(s, tAt(s) - wAt(s) / 2, zAt(s)));
+        out.push(toPolygon(left, right, projector, props));
+      } else {
+        out.push(lineFeature(svals.map(s => roadPoint(s, tAt(s), zAt(s))), props));
+      }
+    }
+  }
+
+  // bridges and tunnels follow the reference line over their s range
+  for (const [kind, list] of [['bridge', road.bridges], ['tunnel', road.tunnels]]) {
+    for (const b of (list || [])) {
+      if (!(b.length > 0)) continue;
+      const pts = sRange(b.s, b.s + b.length).map(s => roadPoint(s, 0));
+      out.push(lineFeature(pts, { kind, objectId: b.id, name: b.name || '', objectType: b.type || kind, roadId: road.id, s: b.s, s1: b.s + b.length }));
+    }
+  }
+  return out;
+}
+
+// Simplify centerline samples: for straight planView segments keep only endpoints; keep all for curved
+function simplifyCenterlineSamples(samples, geoms) {
+  try {
+    if (!Array.isArray(samples) || !Array.isArray(geoms) || geoms.length === 0) return samples;
+    const out = [];
+    const eps = 1e-9;
+    for (const g of geoms) {
+      const s0 = Number(g.s) || 0;
+      const L = Number(g.length) || 0;
+      const s1 = s0 + L;
+      const seg = samples.filter(p => p[3] >= s0 - eps && p[3] <= s1 + eps);
+      if (!seg.length) continue;
+      const isLine = (g.type === 'line');
+      if (isLine) {
+        // Keep all existing samples for lines (these are already only ticks/endpoints)
+        for (const p of seg) {
+          if (!out.length || out[out.length - 1][3] < p[3] - eps) out.push(p);
+        }
+      } else {
+        // Keep dense samples for curved segments; avoid duplicate at joints
+        for (let i = 0; i < seg.length; i++) {
+          const p = seg[i];
+          if (!out.length || out[out.length - 1][3] < p[3] - eps) out.push(p);
+        }
+      }
+    }
+    // Ensure strictly increasing s and at least 2 points
+    const dedup = [];
+    for (const p of out) {
+      if (!dedup.length || p[3] > dedup[dedup.length - 1][3] + 1e-9) dedup.push(p);
+    }
+    return dedup.length >= 2 ? dedup : samples;
+  } catch {
+    return samples;
+  }
+}
+
+function polyEval(coeff, ds) {
+  if (!coeff) return 0;
+  return coeff.a + coeff.b * ds + coeff.c * ds * ds + coeff.d * ds * ds * ds;
+}
+
+function collectLaneIds(laneSections, side) {
+  const set = new Set();
+  for (const ls of laneSections || []) {
+    for (const ln of (ls?.[side] || [])) set.add(ln.id);
+  }
+  const ids = Array.from(set);
+  // sort left desc (2,1), right asc (-2,-1)
+  ids.sort((a,b) => a===b ? 0 : (a>0 && b>0 ? b-a : (a<0 && b<0 ? a-b : a-b)));
+  return ids;
+}
+
+function laneTypeFor(road, side, laneId) {
+  for (const ls of road.laneSections || []) {
+    for (const ln of (ls?.[side] || [])) {
+      if (ln.id === laneId) return ln.type || 'none';
+    }
+  }
+  return 'none';
+}
+
+// Returns [x, y, theta, s, z, t]: z is the reference line height (refined later per lane), t the lateral offset
+function offsetPoint(sample, offset) {
+  const [x, y, th, s, z] = sample;
+  const nx = -Math.sin(th), ny = Math.cos(th);
+  return [x + nx * offset, y + ny * offset, th, s, z, offset];
+}
+
+
+// 53-bit string hash (cyrb53) of a value's JSON, skipping DOM nodes and source spans
+function hashJson(value) {
+  const str = JSON.stringify(value, (k, v) => (k === 'node' || k === 'span' || k === 'doc') ? undefined : v) || '';
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
@@ -0,0 +1,164 @@
+// Semantic consistency checks on a parsed OpenDRIVE model (see parseOpenDrive).
+// Issues: { severity: 'error'|'warning', code, message, roadId?, junctionId?, s?, x?, y? }
+// with x/y in the file's local coordinates where the issue has a location.
+
+import { evalAt, evalPlanViewAt } from './geometry.js';
+import { edgeSection, laneInSection } from './opendrive.js';
+
+const GAP_TOL = 0.01; // m
+const HEADING_TOL = 0.01; // rad
+const LENGTH_TOL = 0.01; // m
+
+export function checkOpenDrive(model) {
+  const issues = [];
+  const roads = model?.roads || [];
+  const junctions = model?.junctions || [];
+
+  // duplicate ids: later records shadow earlier ones in every lookup
+  const roadsById = new Map();
+  for (const road of roads) {
+    if (roadsById.has(road.id)) {
+      issues.push({ severity: 'error', code: 'duplicate-road-id', message: `Duplicate road id "${road.id}"`, roadId: road.id, ...locate(road, 0) });
+    } else roadsById.set(road.id, road);
+  }
+  const junctionsById = new Map();
+  for (const j of junctions) {
+    if (junctionsById.has(j.id)) issues.push({ severity: 'error', code: 'duplicate-junction-id', message: `Duplicate junction id "${j.id}"`, junctionId: j.id });
+    else junctionsById.set(j.id, j);
+  }
+
+  for (const road of roads) {
+    checkPlanView(road, issues);
+    checkLaneSections(road, issues);
+    checkLaneLinks(road, roadsById, issues);
+  }
+  for (const j of junctions) checkJunction(j, roadsById, issues);
+  return issues;
+}
+
+function checkPlanView(road, issues) {
+  const geoms = road.planView || [];
+  let sum = 0;
+  for (let i = 0; i < geoms.length; i++) {
+    const g = geoms[i];
+    sum += Number(g.length) || 0;
+    if (i === 0) continue;
+    const prev = geoms[i - 1];
+    const end = endPose(prev);
+    const at = { roadId: road.id, s: g.s, x: g.x, y: g.y };
+    const sEnd = (prev.s || 0) + (prev.length || 0);
+    if (Math.abs(sEnd - (g.s || 0)) > GAP_TOL) {
+      issues.push({ severity: 'warning', code: 's-gap', message: `Road ${road.id}: geometry ${i} starts at s=${fmt(g.s)}, previous ends at s=${fmt(sEnd)}`, ...at });
+    }
+    if (!end) continue;
+    const gap = Math.hypot(g.x - end[0], g.y - end[1]);
+    if (gap > GAP_TOL) {
+      issues.push({ severity: 'error', code: 'planview-gap', message: `Road ${road.id}: ${fmt(gap)} m gap before geometry ${i} (s=${fmt(g.s)})`, ...at });
+    }
+    const dh = wrapAngle((g.hdg || 0) - end[2]);
+    if (Math.abs(dh) > HEADING_TOL) {
+      issues.push({ severity: 'warning', code: 'heading-jump', message: `Road ${road.id}: heading jumps ${fmt(dh * 180 / Math.PI)}° at geometry ${i} (s=${fmt(g.s)})`, ...at });
+    }
+  }
+  if (geoms.length && Number.isFinite(road.length) && Math.abs(sum - road.length) > LENGTH_TOL) {
+    issues.push({ severity: 'warning', code: 'length-mismatch', message: `Road ${road.id}: geometry lengths sum to ${fmt(sum)} m, road length is ${fmt(road.length)} m`, roadId: road.id, s: road.length, ...locate(road, road.length) });
+  }
+}
+
+function checkLaneSections(road, issues) {
+  const secs = road.laneSections || [];
+  for (let i = 1; i < secs.length; i++) {
+    if (!((secs[i].s || 0) > (secs[i - 1].s || 0))) {
+      issues.push({ severity: 'error', code: 'section-order', message: `Road ${road.id}: laneSection ${i} s=${fmt(secs[i].s)} does not increase (previous s=${fmt(secs[i - 1].s)})`, roadId: road.id, s: secs[i].s, ...locate(road, secs[i].s) });
+    }
+  }
+  for (const sec of secs) {
+    if (Number.isFinite(road.length) && (sec.s || 0) > road.length + LENGTH_TOL) {
+      issues.push({ severity: 'error', code: 'section-beyond-road', message: `Road ${road.id}: laneSection at s=${fmt(sec.s)} is beyond road length ${fmt(road.length)}`, roadId: road.id, s: sec.s, ...locate(road, road.length) });
+    }
+  }
+}
+
+// Lane predecessor/successor must exist in the neighbouring section, or across the road end in
+// the linked road's edge section. Links into a junction are resolved by its laneLinks instead.
+function checkLaneLinks(road, roadsById, issues) {
+  const secs = road.laneSections || [];
+  secs.forEach((sec, si) => {
+    for (const lane of [...(sec.left || []), ...(sec.right || [])]) {
+      for (const dir of ['predecessor', 'successor']) {
+        const target = lane[dir];
+        if (target == null || target === 0) continue;
+        const s = dir === 'predecessor' ? (sec.s || 0) : (si + 1 < secs.length ? secs[si + 1].s : road.length);
+        const neighbourIdx = dir === 'predecessor' ? si - 1 : si + 1;
+        let where, found;
+        if (neighbourIdx >= 0 && neighbourIdx < secs.length) {
+          where = `laneSection ${neighbourIdx}`;
+          found = laneInSection(secs[neighbourIdx], target);
+        } else {
+          const link = road[dir];
+          if (!link || link.elementType !== 'road') continue;
+          const other = roadsById.get(link.elementId);
+          where = `road ${link.elementId}`;
+          found = other ? laneInSection(edgeSection(other, link.contactPoint || 'start'), target) : null;
+          if (!other) {
+            issues.push({ severity: 'error', code: 'missing-road', message: `Road ${road.id}: ${dir} road ${link.elementId} does not exist`, roadId: road.id, s, ...locate(road, s) });
+            continue;
+          }
+        }
+        if (!found) {
+          issues.push({ severity: 'error', code: 'lane-link', message: `Road ${road.id} lane ${lane.id}: ${dir} lane ${target} not found in ${where}`, roadId: road.id, s, ...locate(road, s) });
+        }
+      }
+    }
+  });
+}
+
+function checkJunction(j, roadsById, issues) {
+  for (const c of (j.connections || [])) {
+    const incoming = roadsById.get(c.incomingRoad);
+    const connecting = roadsById.get(c.connectingRoad);
+    if (!incoming || !connecting) {
+      const missing = !incoming ? `incoming road ${c.incomingRoad}` : `connecting road ${c.connectingRoad}`;
+      const anchor = connecting || incoming;
+      issues.push({ severity: 'error', code: 'missing-road', message: `Junction ${j.id} connection ${c.id}: ${missing} does not exist`, junctionId: j.id, roadId: anchor?.id, ...(anchor ? locate(anchor, 0) : {}) });
+      continue;
+    }
+    const contact = c.contactPoint || 'start';
+    const toSec = edgeSection(connecting, contact);
+    // the incoming road touches the junction at the end whose link names it
+    const incomingEnd = incoming.successor?.elementType === 'junction' && incoming.successor.elementId === j.id ? 'end'
+      : (incoming.predecessor?.elementType === 'junction' && incoming.predecessor.elementId === j.id ? 'start' : null);
+    const fromSecs = incomingEnd ? [edgeSection(incoming, incomingEnd)] : [edgeSection(incoming, 'start'), edgeSection(incoming, 'end')];
+    const sTo = contact === 'end' ? connecting.length : 0;
+    for (const ll of (c.laneLinks || [])) {
+      if (!fromSecs.some(sec => laneInSection(sec, ll.from))) {
+        issues.push({ severity: 'error', code: 'junction-lane-link', message: `Junction ${j.id} connection ${c.id}: lane ${ll.from} not found on incoming road ${incoming.id}`, junctionId: j.id, roadId: connecting.id, s: sTo, ...locate(connecting, sTo) });
+      }
+      if (!laneInSection(toSec, ll.to)) {
+        issues.push({ severity: 'error', code: 'junction-lane-link', message: `Junction ${j.id} connection ${c.id}: lane ${ll.to} not found on connecting road ${connecting.id} (${contact})`, junctionId: j.id, roadId: connecting.id, s: sTo, ...locate(connecting, sTo) });
+      }
+    }
+  }
+}
+
+// End pose [x, y, hdg] of a planView record
+function endPose(g) {
+  const L = Number(g.length) || 0;
+  if (!(L > 0)) return null;
+  const p = evalAt(g, (Number(g.s) || 0) + L);
+  return [p.x, p.y, p.hdg];
+}
+
+// Local x/y of the reference line at s
+function locate(road, s) {
+  const p = evalPlanViewAt(road.planView, s);
+  return p ? { x: p.x, y: p.y } : {};
+}
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v.toFixed(3)).toString() : String(v);
+}
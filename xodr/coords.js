@@ -0,0 +1,168 @@
+// Reference-line coordinates per road: local x/y (or lng/lat) <-> road id, s, t, h and lane.
+// t is measured from the reference line (left positive), h above the road surface. Roads are
+// indexed lazily: a coarse sampling of the planView gives candidates and a first s, which is then
+// refined against the exact geometry (evalPlanViewAt).
+// Hits: { roadId, s, t, h, laneId, hdg, distance } where distance is 0 inside the road's lanes and
+// otherwise the gap to them (m); laneId is null off the road.
+
+import { sampleGeometrySequence, evalPlanViewAt } from './geometry.js';
+import { laneOffsetAt, laneBordersAt, surfaceHeightAt } from './opendrive.js';
+
+const COARSE_STEP = 2; // m
+const DEFAULT_MAX_DISTANCE = 5; // m
+
+// geo: optional makeGeoTransform() result for the lng/lat variants
+export function createCoordinateService(model, geo) {
+  const roads = (model?.roads || []).filter(r => r.planView && r.planView.length);
+  const roadsById = new Map(roads.map(r => [r.id, r]));
+  const index = new Map(); // roadId -> { samples, bbox, reach }
+
+  function indexOf(road) {
+    let ix = index.get(road.id);
+    if (ix) return ix;
+    const samples = sampleGeometrySequence(road.planView, { step: COARSE_STEP, maxAngle: 0.1 });
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    let reach = 0; // widest extent of the lanes from the reference line
+    for (const p of samples) {
+      const ext = extentAt(road, p[3]);
+      reach = Math.max(reach, Math.abs(ext.left), Math.abs(ext.right));
+      if (p[0] < bbox[0]) bbox[0] = p[0]; if (p[1] < bbox[1]) bbox[1] = p[1];
+      if (p[0] > bbox[2]) bbox[2] = p[0]; if (p[1] > bbox[3]) bbox[3] = p[1];
+    }
+    ix = { samples, bbox, reach };
+    index.set(road.id, ix);
+    return ix;
+  }
+
+  // Closest point of one road to [x, y]: coarse nearest segment, then Newton on the exact curve
+  function projectOnRoad(road, x, y, z) {
+    const { samples } = indexOf(road);
+    if (!samples.length) return null;
+    let s = samples[0][3], best = Infinity;
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1], b = samples[i];
+      const dx = b[0] - a[0], dy = b[1] - a[1];
+      const len2 = dx * dx + dy * dy;
+      const f = len2 > 0 ? Math.max(0, Math.min(1, ((x - a[0]) * dx + (y - a[1]) * dy) / len2)) : 0;
+      const d = Math.hypot(a[0] + dx * f - x, a[1] + dy * f - y);
+      if (d < best) { best = d; s = a[3] + (b[3] - a[3]) * f; }
+    }
+    const sEnd = Number(road.length) || samples[samples.length - 1][3];
+    let pose = evalPlanViewAt(road.planView, s);
+    for (let it = 0; it < 8; it++) {
+      const ex = x - pose.x, ey = y - pose.y;
+      const c = Math.cos(pose.hdg), sn = Math.sin(pose.hdg);
+      const along = ex * c + ey * sn;
+      const lateral = -ex * sn + ey * c;
+      const denom = 1 - pose.curvature * lateral;
+      const step = along / (Math.abs(denom) > 0.1 ? denom : 1);
+      const next = Math.max(0, Math.min(sEnd, s + step));
+      if (Math.abs(next - s) < 1e-7) break;
+      s = next;
+      pose = evalPlanViewAt(road.planView, s);
+    }
+    const ex = x - pose.x, ey = y - pose.y;
+    const c = Math.cos(pose.hdg), sn = Math.sin(pose.hdg);
+    const along = ex * c + ey * sn; // non-zero only beyond the road ends
+    const t = -ex * sn + ey * c;
+    const lane = laneAt(road, s, t);
+    const ext = extentAt(road, s);
+    const gap = t > ext.left ? t - ext.left : (t < ext.right ? ext.right - t : 0);
+    return {
+      roadId: road.id,
+      s,
+      t,
+      h: Number.isFinite(z) ? z - surfaceHeightAt(road, s, t) : 0,
+      laneId: Math.abs(along) > 1e-3 ? null : lane,
+      hdg: pose.hdg,
+      distance: Math.hypot(along, gap),
+    };
+  }
+
+  // All roads within maxDistance of local [x, y(, z)], nearest first; opts.roadId limits the search
+  function projectAll(xy, opts = {}) {
+    const [x, y, z] = xy;
+    const maxDistance = opts.maxDistance ?? DEFAULT_MAX_DISTANCE;
+    const pool = opts.roadId != null ? [roadsById.get(String(opts.roadId))].filter(Boolean) : roads;
+    const hits = [];
+    for (const road of pool) {
+      const { bbox, reach } = indexOf(road);
+      const pad = reach + maxDistance + COARSE_STEP;
+      if (x < bbox[0] - pad || x > bbox[2] + pad || y < bbox[1] - pad || y > bbox[3] + pad) continue;
+      const hit = projectOnRoad(road, x, y, z);
+      if (hit && hit.distance <= maxDistance) hits.push(hit);
+    }
+    return hits.sort((a, b) => a.distance - b.distance || Math.abs(a.t) - Math.abs(b.t));
+  }
+
+  function project(xy, opts) {
+    return projectAll(xy, opts)[0] || null;
+  }
+
+  // (road, s, t, h) -> local { x, y, z, hdg }; null for unknown roads
+  function toLocal({ roadId, s, t = 0, h = 0 }) {
+    const road = roadsById.get(String(roadId));
+    if (!road) return null;
+    const sc = Math.max(0, Math.min(Number(road.length) || 0, Number(s) || 0));
+    const pose = evalPlanViewAt(road.planView, sc);
+    return {
+      x: pose.x - Math.sin(pose.hdg) * t,
+      y: pose.y + Math.cos(pose.hdg) * t,
+      z: surfaceHeightAt(road, sc, t, h),
+      hdg: pose.hdg,
+    };
+  }
+
+  return {
+    project,
+    projectAll,
+    toLocal,
+    laneAt(roadId, s, t) {
+      const road = roadsById.get(String(roadId));
+      return road ? laneAt(road, s, t) : null;
+    },
+    projectLngLat(lnglat, opts) {
+      if (!geo) throw new Error('No georeference for lng/lat queries');
+      const [x, y] = geo.toLocal([lnglat[0], lnglat[1]]);
+      return project([x, y, lnglat[2]], opts);
+    },
+    toLngLat(pos) {
+      if (!geo) throw new Error('No georeference for lng/lat queries');
+      const p = toLocal(pos);
+      if (!p) return null;
+      const [lng, lat] = geo.toLngLat([p.x, p.y]);
+      return [lng, lat, p.z];
+    },
+  };
+}
+
+// Lane section active at s (last one starting at or before s)
+function sectionAt(road, s) {
+  let sec = road.laneSections?.[0] || null;
+  for (const ls of (road.laneSections || [])) if (s + 1e-9 >= (ls.s || 0)) sec = ls;
+  return sec;
+}
+
+// Outer t of the left and right lanes at s
+function extentAt(road, s) {
+  const lo = laneOffsetAt(road, s);
+  const sec = sectionAt(road, s);
+  const ds = s - (sec?.s || 0);
+  let left = 0, right = 0;
+  for (const b of laneBordersAt(sec?.left || [], ds).values()) left = Math.max(left, b.outer);
+  for (const b of laneBordersAt(sec?.right || [], ds).values()) right = Math.max(right, b.outer);
+  return { left: lo + left, right: lo - right };
+}
+
+// Lane id containing lateral position t at s, null beyond the outermost lanes
+export function laneAt(road, s, t) {
+  const sec = sectionAt(road, s);
+  if (!sec) return null;
+  const d = t - laneOffsetAt(road, s);
+  const side = d >= 0 ? 'left' : 'right';
+  const dist = Math.abs(d);
+  for (const [id, b] of laneBordersAt(sec[side] || [], s - (sec.s || 0))) {
+    if (b.outer - b.inner > 1e-9 && dist >= b.inner && dist < b.outer) return id;
+  }
+  return null;
+}
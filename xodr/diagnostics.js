@@ -0,0 +1,53 @@
+// Parse diagnostics: what the OpenDRIVE parser could not read, ignored or approximated.
+// Items: { severity: 'error'|'warning', message, line?, column?, roadId?, junctionId?, element? }
+// Reports may name the source element (`node`); locate() turns nodes into line/column.
+// error()/warning() return the stored item (null past MAX_ITEMS) so callers can amend it.
+
+import { startTagOffsets, lineColumnOf } from './xml.js';
+
+const MAX_ITEMS = 1000;
+
+export function createDiagnostics() {
+  const items = [];
+  let dropped = 0;
+  const add = (severity, message, at = {}) => {
+    if (items.length >= MAX_ITEMS) { dropped++; return null; }
+    const { node, ...rest } = at;
+    const item = { severity, message, element: node ? node.localName : undefined, ...rest, node };
+    items.push(item);
+    return item;
+  };
+  return {
+    items,
+    error: (message, at) => add('error', message, at),
+    warning: (message, at) => add('warning', message, at),
+    // Resolve element positions against the source text and return plain items
+    locate(text, doc) {
+      const pending = items.filter(it => it.node && it.line == null);
+      if (pending.length) {
+        const where = lineColumnOf(text);
+        let offsetOf = (el) => el.start;
+        if (pending.some(it => it.node.start == null)) {
+          // DOM nodes have no offsets: the n-th element in document order has the n-th start tag
+          const starts = startTagOffsets(text);
+          const order = new Map();
+          const stack = doc && doc.documentElement ? [doc.documentElement] : [];
+          while (stack.length) {
+            const el = stack.pop();
+            order.set(el, order.size);
+            const kids = el.children;
+            for (let k = kids.length - 1; k >= 0; k--) stack.push(kids[k]);
+          }
+          offsetOf = (el) => starts[order.get(el)];
+        }
+        for (const it of pending) {
+          const off = offsetOf(it.node);
+          if (off != null) Object.assign(it, where(off));
+        }
+      }
+      const out = items.map(({ node, ...it }) => it);
+      if (dropped) out.push({ severity: 'warning', message: `${dropped} more diagnostics not shown` });
+      return out;
+    },
+  };
+}
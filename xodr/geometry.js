@@ -1,10 +1,16 @@
 // Lightweight geometry utilities to sample OpenDRIVE planView segments
-// Supports: line, arc, spiral (numeric), with helpers to offset polylines.
+// Supports: line, arc, spiral (Fresnel integrals), paramPoly3 (both pRange modes) and legacy poly3,
+// with helpers to offset polylines.
+// Samples are [x, y, theta, s] with an optional height z at index 4.
+// evalAt/evalPlanViewAt give the exact pose at a road s without sampling.
+
+import { odrSpiral, FRESNEL_LIMIT } from './spiral.js';
 
 export function sampleGeometrySequence(geoms, opts = {}) {
   const baseStep = opts.step || 0.7; // target max chord length (m)
   const maxAngle = opts.maxAngle || 0.03; // rad per segment
   const forceSAbs = Array.isArray(opts.forceS) ? opts.forceS.slice().sort((a,b)=>a-b) : null;
+  const zAt = typeof opts.zAt === 'function' ? opts.zAt : null; // s -> reference line height
   const out = [];
   for (const g of geoms) {
     const baseS = Number(g.s) || 0;
@@ -23,7 +29,10 @@ export function sampleGeometrySequence(geoms, opts = {}) {
     }
     const pts = sampleSegmentAdaptive(g, { baseStep, maxAngle, forceLocal });
     // convert local s -> absolute s along road
-    for (const p of pts) p[3] = baseS + (p[3] || 0);
+    for (const p of pts) {
+      p[3] = baseS + (p[3] || 0);
+      if (zAt) p[4] = zAt(p[3]);
+    }
     if (out.length && pts.length) {
       // drop first to avoid duplicate vertex at joints
       pts.shift();
@@ -71,48 +80,19 @@ export function sampleSegment(geom, step = 1.0) {
       }
     }
   } else if (type === 'spiral') {
-    // Numeric integration for clothoid with curvature varying linearly from k0 to k1
-    const k0 = Number(geom.curvStart) || 0;
-    const k1 = Number(geom.curvEnd) || 0;
-    const L = length;
-    const dk = (k1 - k0) / L;
-    let px = x, py = y;
-    let th = hdg;
-    pts.push([px, py, th, 0]);
-    for (let i = 1; i <= n; i++) {
-      const s1 = (i - 1) * ds;
-      const s2 = i * ds;
-      // integrate heading over [s1, s2]: th(s) = hdg + k0*s + 0.5*dk*s^2
-      const th1 = hdg + k0 * s1 + 0.5 * dk * s1 * s1;
-      const th2 = hdg + k0 * s2 + 0.5 * dk * s2 * s2;
-      // 2-point midpoint for cos/sin path increment
-      const thm = 0.5 * (th1 + th2);
-      const dx = ds * Math.cos(thm);
-      const dy = ds * Math.sin(thm);
-      px += dx;
-      py += dy;
-      th = th2;
-      pts.push([px, py, th, s2]);
+    const curve = spiralCurve(geom);
+    for (let i = 0; i <= n; i++) {
+      const s = i * ds;
+      const c = curve.at(s);
+      pts.push([c.x, c.y, c.hdg, s]);
     }
-  } else if (type === 'poly3') {
-    // ParamPoly3: x(s) = aU + bU*s + cU*s^2 + dU*s^3; y(s) similar, in local heading frame
-    const { aU, bU, cU, dU, aV, bV, cV, dV } = geom;
-    const cosH = Math.cos(hdg), sinH = Math.sin(hdg);
+  } else if (type === 'paramPoly3' || type === 'poly3') {
+    // sampled by arc length, see paramPoly3Curve / poly3Curve
+    const curve = type === 'poly3' ? poly3Curve(geom) : paramPoly3Curve(geom);
     for (let i = 0; i <= n; i++) {
       const s = i * ds;
-      const u = aU + bU * s + cU * s * s + dU * s * s * s;
-      const v = aV + bV * s + cV * s * s + dV * s * s * s;
-      const lx = u * cosH - v * sinH;
-      const ly = u * sinH + v * cosH;
-      const px = x + lx;
-      const py = y + ly;
-      // approximate tangent using derivative
-      const du = bU + 2 * cU * s + 3 * dU * s * s;
-      const dv = bV + 2 * cV * s + 3 * dV * s * s;
-      const tx = du * cosH - dv * sinH;
-      const ty = du * sinH + dv * cosH;
-      const th = Math.atan2(ty, tx);
-      pts.push([px, py, th, s]);
+      const c = curve.at(s);
+      pts.push([c.x, c.y, c.hdg, s]);
     }
   } else {
     // Unknown segment, fall back to straight line sampling
@@ -186,13 +166,13 @@ export function sampleSegmentAdaptive(geom, opts = {}) {
   }
 
   if (type === 'spiral') {
-    // Integrate state [x,y,theta] with RK4, adapt step so delta theta <= maxAngle
+    // Exact clothoid poses, step chosen so delta theta <= maxAngle
+    const curve = spiralCurve(geom);
     const k0 = Number(geom.curvStart) || 0;
     const k1 = Number(geom.curvEnd) || 0;
     const dk = (k1 - k0) / L;
     let s = 0;
-    let px = x, py = y, th = hdg;
-    const pts = [[px, py, th, 0]];
+    const pts = [[x, y, hdg, 0]];
     const sTargets = Array.from(new Set([0, ...(forceLocal||[]), L])).sort((a,b)=>a-b);
     let ti = 1; // next target index
     while (s < L - 1e-9) {
@@ -210,73 +190,31 @@ export function sampleSegmentAdaptive(geom, opts = {}) {
       const nextTarget = sTargets[ti] ?? L;
       h = Math.max(0.05, Math.min(h, L - s, nextTarget - s));
 
-      // RK4 step for state
-      const kfun = (ss) => (k0 + dk * ss);
-      const f = (ss, st) => {
-        const theta = st[2];
-        return [Math.cos(theta), Math.sin(theta), kfun(ss)];
-      };
-      const st = [px, py, th];
-      const k1v = f(s, st);
-      const k2v = f(s + 0.5*h, [st[0]+0.5*h*k1v[0], st[1]+0.5*h*k1v[1], st[2]+0.5*h*k1v[2]]);
-      const k3v = f(s + 0.5*h, [st[0]+0.5*h*k2v[0], st[1]+0.5*h*k2v[1], st[2]+0.5*h*k2v[2]]);
-      const k4v = f(s + h, [st[0]+h*k3v[0], st[1]+h*k3v[1], st[2]+h*k3v[2]]);
-      px = st[0] + (h/6)*(k1v[0] + 2*k2v[0] + 2*k3v[0] + k4v[0]);
-      py = st[1] + (h/6)*(k1v[1] + 2*k2v[1] + 2*k3v[1] + k4v[1]);
-      th = st[2] + (h/6)*(k1v[2] + 2*k2v[2] + 2*k3v[2] + k4v[2]);
-      s += h;
-      pts.push([px, py, th, s]);
+      s = Math.min(L, s + h);
+      const c = curve.at(s);
+      pts.push([c.x, c.y, c.hdg, s]);
       if (Math.abs(s - nextTarget) <= 1e-9) ti++;
     }
     return pts;
   }
 
-  if (type === 'poly3') {
-    // Estimate curvature from derivatives and limit angle per step
-    const { aU, bU, cU, dU, aV, bV, cV, dV } = geom;
-    const cosH = Math.cos(hdg), sinH = Math.sin(hdg);
-    let s = 0;
-    const pts = [];
+  if (type === 'paramPoly3' || type === 'poly3') {
+    // Limit the heading change per step by the local curvature
+    const curve = type === 'poly3' ? poly3Curve(geom) : paramPoly3Curve(geom);
     const sTargets = Array.from(new Set([0, ...(forceLocal||[]), L])).sort((a,b)=>a-b);
+    const pts = [];
     let ti = 1;
-    while (s < L + 1e-9) {
-      const u = aU + bU*s + cU*s*s + dU*s*s*s;
-      const v = aV + bV*s + cV*s*s + dV*s*s*s;
-      const du = bU + 2*cU*s + 3*dU*s*s;
-      const dv = bV + 2*cV*s + 3*dV*s*s;
-      const d2u = 2*cU + 6*dU*s;
-      const d2v = 2*cV + 6*dV*s;
-      const tx = du * cosH - dv * sinH;
-      const ty = du * sinH + dv * cosH;
-      const th = Math.atan2(ty, tx);
-      const denom = Math.pow(tx*tx + ty*ty, 1.5);
-      const ax = d2u * cosH - d2v * sinH;
-      const ay = d2u * sinH + d2v * cosH;
-      const curvature = denom > 1e-9 ? Math.abs((tx*ay - ty*ax) / denom) : 0;
-      const dsAngle = curvature > 1e-9 ? maxAngle / curvature : L;
+    let s = 0;
+    for (;;) {
+      const c = curve.at(s);
+      pts.push([c.x, c.y, c.hdg, s]);
+      if (s >= L - 1e-9) break;
+      while ((sTargets[ti] ?? L) <= s + 1e-9) ti++;
       const nextTarget = sTargets[ti] ?? L;
-      const h = Math.min(Math.max(0.2, baseStep), dsAngle, L - s, nextTarget - s);
-
-      const lx = u * cosH - v * sinH;
-      const ly = u * sinH + v * cosH;
-      pts.push([x + lx, y + ly, th, s]);
-      if (s >= L) break;
-      s += h;
-      if (Math.abs(s - nextTarget) <= 1e-9) ti++;
-      if (s > L) s = L;
-    }
-    if (pts.length === 0 || pts[pts.length-1][3] < L) {
-      // ensure last sample is at end
-      const u = aU + bU*L + cU*L*L + dU*L*L*L;
-      const v = aV + bV*L + cV*L*L + dV*L*L*L;
-      const du = bU + 2*cU*L + 3*dU*L*L;
-      const dv = bV + 2*cV*L + 3*dV*L*L;
-      const tx = du * cosH - dv * sinH;
-      const ty = du * sinH + dv * cosH;
-      const th = Math.atan2(ty, tx);
-      const lx = u * cosH - v * sinH;
-      const ly = u * sinH + v * cosH;
-      pts.push([x + lx, y + ly, th, L]);
+      const k = Math.abs(c.curvature);
+      const dsAngle = k > 1e-9 ? maxAngle / k : L;
+      const h = Math.max(1e-3, Math.min(baseStep, dsAngle, L - s, nextTarget - s));
+      s = Math.min(L, s + h);
     }
     return pts;
   }
@@ -284,19 +222,243 @@ export function sampleSegmentAdaptive(geom, opts = {}) {
   return sampleSegment(geom, baseStep);
 }
 
+// ParamPoly3 in its local u/v frame (u along hdg), evaluated by arc length s in [0, length].
+// pRange="normalized" runs p over [0, 1], "arcLength" over [0, length]; the latter is rescaled to
+// [0, 1] first. s maps to p through a table of the curve's own arc length, stretched to @length.
+const PP3_TABLE = 64;
+const GAUSS5 = [
+  [0, 0.5688888888888889],
+  [-0.5384693101056831, 0.4786286704993665], [0.5384693101056831, 0.4786286704993665],
+  [-0.9061798459386640, 0.2369268850561891], [0.9061798459386640, 0.2369268850561891],
+];
+
+export function paramPoly3Curve(geom) {
+  const { x, y, hdg } = geom;
+  const L = Number(geom.length) || 0;
+  const m = geom.pRange === 'arcLength' ? L : 1;
+  const u = [Number(geom.aU) || 0, (Number(geom.bU) || 0) * m, (Number(geom.cU) || 0) * m * m, (Number(geom.dU) || 0) * m * m * m];
+  const v = [Number(geom.aV) || 0, (Number(geom.bV) || 0) * m, (Number(geom.cV) || 0) * m * m, (Number(geom.dV) || 0) * m * m * m];
+  const cosH = Math.cos(hdg), sinH = Math.sin(hdg);
+  const speed = (p) => Math.hypot(u[1] + 2 * u[2] * p + 3 * u[3] * p * p, v[1] + 2 * v[2] * p + 3 * v[3] * p * p);
+  const arc = (p0, p1) => {
+    const half = 0.5 * (p1 - p0), mid = 0.5 * (p0 + p1);
+    let sum = 0;
+    for (const [xi, w] of GAUSS5) sum += w * speed(mid + half * xi);
+    return sum * half;
+  };
+  // cumulative curve length at p = i / PP3_TABLE
+  const table = [0];
+  for (let i = 0; i < PP3_TABLE; i++) table.push(table[i] + arc(i / PP3_TABLE, (i + 1) / PP3_TABLE));
+  const total = table[PP3_TABLE];
+
+  const pAt = (s) => {
+    if (!(total > 0) || !(L > 0)) return L > 0 ? s / L : 0;
+    const target = Math.max(0, Math.min(total, s / L * total));
+    let lo = 0, hi = PP3_TABLE;
+    while (hi - lo > 1) { const mid = (lo + hi) >> 1; if (table[mid] <= target) lo = mid; else hi = mid; }
+    const p0 = lo / PP3_TABLE;
+    const seg = table[hi] - table[lo];
+    let p = p0 + (seg > 0 ? (target - table[lo]) / seg : 0) / PP3_TABLE;
+    // Newton on the length from the table node
+    for (let it = 0; it < 3; it++) {
+      const sp = speed(p);
+      if (!(sp > 1e-12)) break;
+      p -= (table[lo] + arc(p0, p) - target) / sp;
+    }
+    return Math.max(0, Math.min(1, p));
+  };
+
+  return {
+    length: total,
+    at(s) {
+      const p = pAt(s);
+      const lu = u[0] + u[1] * p + u[2] * p * p + u[3] * p * p * p;
+      const lv = v[0] + v[1] * p + v[2] * p * p + v[3] * p * p * p;
+      const du = u[1] + 2 * u[2] * p + 3 * u[3] * p * p;
+      const dv = v[1] + 2 * v[2] * p + 3 * v[3] * p * p;
+      const d2u = 2 * u[2] + 6 * u[3] * p;
+      const d2v = 2 * v[2] + 6 * v[3] * p;
+      const sp2 = du * du + dv * dv;
+      return {
+        x: x + lu * cosH - lv * sinH,
+        y: y + lu * sinH + lv * cosH,
+        hdg: hdg + Math.atan2(dv, du),
+        curvature: sp2 > 1e-18 ? (du * d2v - dv * d2u) / Math.pow(sp2, 1.5) : 0,
+      };
+    },
+  };
+}
+
+// Legacy <poly3> (OpenDRIVE <= 1.4): v = a + b*u + c*u^2 + d*u^3 in the local u/v frame, u >= 0.
+// The u range is not stored: solve for the U whose curve length equals @length, then evaluate it
+// as the normalized paramPoly3 u = U*p, v = a + b*U*p + c*U^2*p^2 + d*U^3*p^3.
+export function poly3Curve(geom) {
+  const L = Number(geom.length) || 0;
+  const a = Number(geom.a) || 0, b = Number(geom.b) || 0, c = Number(geom.c) || 0, d = Number(geom.d) || 0;
+  const speed = (u) => Math.hypot(1, b + 2 * c * u + 3 * d * u * u);
+  const arcTo = (U) => {
+    const n = 16, h = U / n;
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      const mid = (i + 0.5) * h;
+      for (const [xi, w] of GAUSS5) sum += w * speed(mid + 0.5 * h * xi);
+    }
+    return sum * 0.5 * h;
+  };
+  // arcTo(U) >= U with slope >= 1, so Newton from U = L decreases monotonically onto the root
+  let U = L;
+  for (let it = 0; it < 30 && L > 0; it++) {
+    const step = (arcTo(U) - L) / speed(U);
+    U -= step;
+    if (Math.abs(step) < 1e-10 * Math.max(1, L)) break;
+  }
+  return paramPoly3Curve({
+    x: geom.x, y: geom.y, hdg: geom.hdg, length: L, pRange: 'normalized',
+    aU: 0, bU: U, cU: 0, dU: 0,
+    aV: a, bV: b * U, cV: c * U * U, dV: d * U * U * U,
+  });
+}
+
+// Clothoid with curvature running linearly from curvStart to curvEnd, evaluated by s in [0, length].
+// Positions come from the standard spiral (odrSpiral) through the point where its curvature equals
+// curvStart, moved onto the start pose. Near-constant curvature rates would put that point too far
+// out for the Fresnel approximations; those pieces are integrated with Gauss-Legendre instead.
+export function spiralCurve(geom) {
+  const { x, y, hdg } = geom;
+  const L = Number(geom.length) || 0;
+  const k0 = Number(geom.curvStart) || 0;
+  const k1 = Number(geom.curvEnd) || 0;
+  const dk = L > 0 ? (k1 - k0) / L : 0;
+  const heading = (s) => k0 * s + 0.5 * dk * s * s;
+  const cosH = Math.cos(hdg), sinH = Math.sin(hdg);
+
+  let local; // s -> [u, v] in the start frame
+  if (Math.abs(dk) < 1e-15) {
+    local = (s) => {
+      if (Math.abs(k0) < 1e-12) return [s, 0];
+      return [Math.sin(k0 * s) / k0, (1 - Math.cos(k0 * s)) / k0];
+    };
+  } else {
+    const s0 = k0 / dk;
+    const a = Math.sqrt(Math.PI / Math.abs(dk));
+    if (Math.max(Math.abs(s0), Math.abs(s0 + L)) / a < FRESNEL_LIMIT) {
+      const [x0, y0, t0] = odrSpiral(s0, dk);
+      const c0 = Math.cos(t0), n0 = Math.sin(t0);
+      local = (s) => {
+        const [xs, ys] = odrSpiral(s0 + s, dk);
+        const dx = xs - x0, dy = ys - y0;
+        return [dx * c0 + dy * n0, -dx * n0 + dy * c0];
+      };
+    } else {
+      local = (s) => {
+        // pieces short enough that the heading turns by at most ~0.1 rad each
+        const n = Math.max(1, Math.ceil(Math.abs(heading(s)) / 0.1), Math.ceil(s / 50));
+        const h = s / n;
+        let u = 0, v = 0;
+        for (let i = 0; i < n; i++) {
+          const mid = (i + 0.5) * h;
+          for (const [xi, w] of GAUSS5) {
+            const th = heading(mid + 0.5 * h * xi);
+            u += w * Math.cos(th);
+            v += w * Math.sin(th);
+          }
+        }
+        return [u * 0.5 * h, v * 0.5 * h];
+      };
+    }
+  }
+
+  return {
+    length: L,
+    at(s) {
+      const [lu, lv] = local(s);
+      return {
+        x: x + lu * cosH - lv * sinH,
+        y: y + lu * sinH + lv * cosH,
+        hdg: hdg + heading(s),
+        curvature: k0 + dk * s,
+      };
+    },
+  };
+}
+
+// Line and arc in the same { length, at(s) } form
+function lineArcCurve(geom) {
+  const { x, y, hdg } = geom;
+  const L = Number(geom.length) || 0;
+  const k = geom.type === 'arc' ? Number(geom.curvature) || 0 : 0;
+  return {
+    length: L,
+    at(s) {
+      if (Math.abs(k) < 1e-12) {
+        return { x: x + s * Math.cos(hdg), y: y + s * Math.sin(hdg), hdg, curvature: 0 };
+      }
+      const th = hdg + k * s;
+      return {
+        x: x + (Math.sin(th) - Math.sin(hdg)) / k,
+        y: y - (Math.cos(th) - Math.cos(hdg)) / k,
+        hdg: th,
+        curvature: k,
+      };
+    },
+  };
+}
+
+// Curves are built once per geometry record (paramPoly3 and poly3 set up arc-length tables)
+const curveCache = new WeakMap();
+
+function curveOf(geom) {
+  let curve = curveCache.get(geom);
+  if (!curve) {
+    if (geom.type === 'spiral') curve = spiralCurve(geom);
+    else if (geom.type === 'paramPoly3') curve = paramPoly3Curve(geom);
+    else if (geom.type === 'poly3') curve = poly3Curve(geom);
+    else curve = lineArcCurve(geom); // unknown types run straight, as in sampleSegment
+    curveCache.set(geom, curve);
+  }
+  return curve;
+}
+
+// Pose on one planView geometry at road s (clamped to the geometry): { x, y, hdg, curvature }.
+// Geometry records are treated as immutable; edit by replacing them.
+export function evalAt(geom, s) {
+  const L = Number(geom.length) || 0;
+  const local = Math.max(0, Math.min(L, (Number(s) || 0) - (Number(geom.s) || 0)));
+  return curveOf(geom).at(local);
+}
+
+// Pose at road s on a planView (geometries sorted by s); null when there are none
+export function evalPlanViewAt(geoms, s) {
+  if (!geoms || !geoms.length) return null;
+  let lo = 0, hi = geoms.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if ((Number(geoms[mid].s) || 0) <= s) lo = mid; else hi = mid - 1;
+  }
+  return evalAt(geoms[lo], s);
+}
+
 export function offsetPolyline(samples, offset) {
-  // samples: [x,y,theta,s]
+  // samples: [x,y,theta,s(,z)]
   const out = [];
   for (const p of samples) {
     const [x, y, th] = p;
     const nx = -Math.sin(th), ny = Math.cos(th);
-    out.push([x + nx * offset, y + ny * offset, th, p[3]]);
+    const q = [x + nx * offset, y + ny * offset, th, p[3]];
+    if (p.length > 4) q.push(p[4]);
+    out.push(q);
   }
   return out;
 }
 
+// Project [x,y(,..,z)] and keep a finite z as the third GeoJSON coordinate
+function projectWithZ(p, projector) {
+  const c = projector([p[0], p[1]]);
+  return Number.isFinite(p[4]) ? [c[0], c[1], p[4]] : c;
+}
+
 export function toLineString(samples, projector) {
-  const coords = samples.map(([x, y]) => projector([x, y]));
+  const coords = samples.map((p) => projectWithZ(p, projector));
   return {
     type: 'Feature',
     properties: {},
@@ -305,8 +467,8 @@ export function toLineString(samples, projector) {
 }
 
 export function toPolygon(leftSamples, rightSamples, projector, properties = {}) {
-  const left = leftSamples.map(([x, y]) => projector([x, y]));
-  const right = rightSamples.map(([x, y]) => projector([x, y])).reverse();
+  const left = leftSamples.map((p) => projectWithZ(p, projector));
+  const right = rightSamples.map((p) => projectWithZ(p, projector)).reverse();
   const ring = [...left, ...right, left[0]];
   return {
     type: 'Feature',
@@ -315,6 +477,24 @@ export function toPolygon(leftSamples, rightSamples, projector, properties = {})
   };
 }
 
+export function toClosedPolygon(samples, projector, properties = {}) {
+  const ring = samples.map((p) => projectWithZ(p, projector));
+  ring.push(ring[0]);
+  return {
+    type: 'Feature',
+    properties,
+    geometry: { type: 'Polygon', coordinates: [ring] },
+  };
+}
+
+export function toPoint(sample, projector, properties = {}) {
+  return {
+    type: 'Feature',
+    properties,
+    geometry: { type: 'Point', coordinates: projectWithZ(sample, projector) },
+  };
+}
+
 export function fc(features = []) {
   return { type: 'FeatureCollection', features };
 }
@@ -0,0 +1,98 @@
+// Georeferencing for OpenDRIVE local coordinates (header geoReference + offset), via the global proj4.
+// The geoReference is used as-is when it is a complete proj string or WKT; EPSG codes resolve from
+// EPSG_DEFS; partial strings (lat_0/lon_0 only) fall back to a local tmerc. A CRS that cannot be
+// resolved also falls back, but is reported through makeGeoTransform().issue.
+
+const UTM_WGS84 = (zone, south) => `+proj=utm +zone=${zone}${south ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`;
+
+// Bundled definitions for codes common in OpenDRIVE datasets; WGS 84 / UTM (326xx, 327xx) are generated
+export const EPSG_DEFS = {
+  4326: '+proj=longlat +datum=WGS84 +no_defs',
+  4258: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+  3857: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs',
+  3035: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  25829: '+proj=utm +zone=29 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  25830: '+proj=utm +zone=30 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  25831: '+proj=utm +zone=31 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  25832: '+proj=utm +zone=32 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  25833: '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  25834: '+proj=utm +zone=34 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  25835: '+proj=utm +zone=35 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  31466: '+proj=tmerc +lat_0=0 +lon_0=6 +k=1 +x_0=2500000 +y_0=0 +ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs',
+  31467: '+proj=tmerc +lat_0=0 +lon_0=9 +k=1 +x_0=3500000 +y_0=0 +ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs',
+  31468: '+proj=tmerc +lat_0=0 +lon_0=12 +k=1 +x_0=4500000 +y_0=0 +ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs',
+  31469: '+proj=tmerc +lat_0=0 +lon_0=15 +k=1 +x_0=5500000 +y_0=0 +ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs',
+  2056: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs',
+  27700: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs',
+  28992: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.4171,50.3319,465.5524,1.9342,-1.6677,9.1019,4.0725 +units=m +no_defs',
+  2154: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  6677: '+proj=tmerc +lat_0=36 +lon_0=139.833333333333 +k=0.9999 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+};
+for (let zone = 1; zone <= 60; zone++) {
+  EPSG_DEFS[32600 + zone] = UTM_WGS84(zone, false);
+  EPSG_DEFS[32700 + zone] = UTM_WGS84(zone, true);
+}
+
+// EPSG code named by a geoReference ("EPSG:25832", "+init=epsg:25832", "urn:ogc:def:crs:EPSG::25832")
+export function epsgCodeOf(geoRef) {
+  const m = /epsg:{1,2}(\d+)/i.exec(geoRef || '');
+  return m ? Number(m[1]) : undefined;
+}
+
+// proj4 definition for a header, or null when it only names an origin (see makeGeoTransform)
+export function resolveCrs(header) {
+  const geoRef = (header?.geoRef || '').trim();
+  if (!geoRef) return null;
+  const code = epsgCodeOf(geoRef);
+  if (code != null) return EPSG_DEFS[code] || null;
+  if (/\+proj=/.test(geoRef)) return geoRef;
+  if (/^(PROJCS|GEOGCS|PROJCRS|GEOGCRS)\[/i.test(geoRef)) return geoRef;
+  return null;
+}
+
+// Forward/inverse between OpenDRIVE local x/y and [lng, lat].
+// The header offset maps local to projected coordinates: rotate by hdg, then translate by (x, y).
+// Without a usable CRS, a tmerc at the header's lat_0/lon_0 (or `fallbackOrigin`) is used; `issue`
+// then says why when the file did name a CRS (unknown EPSG code, string proj4 rejects), else null.
+export function makeGeoTransform(header, fallbackOrigin) {
+  let crs = null;
+  let issue = null;
+  const geoRef = (header?.geoRef || '').trim();
+  const def = resolveCrs(header);
+  if (def) {
+    try { crs = proj4(def); } catch (e) {
+      crs = null;
+      issue = `geoReference "${clip(geoRef)}" could not be read by proj4 (${e && e.message ? e.message : e})`;
+    }
+  } else if (epsgCodeOf(geoRef) != null) {
+    issue = `geoReference names EPSG:${epsgCodeOf(geoRef)}, which has no bundled definition (EPSG_DEFS)`;
+  } else if (geoRef && (header?.lat0 == null || header?.lon0 == null)) {
+    issue = `geoReference "${clip(geoRef)}" is not a proj string, WKT or EPSG code`;
+  }
+  if (issue) issue += '; roads are placed around a local origin instead of their real position';
+  if (!crs) {
+    const lat0 = header?.lat0 ?? fallbackOrigin?.[1] ?? 0;
+    const lon0 = header?.lon0 ?? fallbackOrigin?.[0] ?? 0;
+    crs = proj4(`+proj=tmerc +lat_0=${lat0} +lon_0=${lon0} +k=1 +x_0=0 +y_0=0 +ellps=WGS84 +units=m +no_defs`);
+  }
+  const off = header?.offset || {};
+  const ox = off.x || 0, oy = off.y || 0, hdg = off.hdg || 0;
+  const c = Math.cos(hdg), s = Math.sin(hdg);
+  const wgs84 = proj4('WGS84');
+  return {
+    crs: issue ? null : def,
+    issue,
+    toLngLat([x, y]) {
+      return proj4(crs, wgs84, [x * c - y * s + ox, x * s + y * c + oy]);
+    },
+    toLocal(lnglat) {
+      const [px, py] = proj4(wgs84, crs, lnglat);
+      const dx = px - ox, dy = py - oy;
+      return [dx * c + dy * s, -dx * s + dy * c];
+    },
+  };
+}
+
+function clip(text) {
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
@@ -1,27 +1,91 @@
-// Minimal OpenDRIVE (.xodr) parser: header (geoReference), roads (planView + lanes)
-// Focus: planView geometries (line, arc, spiral, paramPoly3) and lane widths per section.
+// Minimal OpenDRIVE (.xodr) parser: header (geoReference), roads (planView + lanes + objects + signals
+// + railroad switches), junctions and rail stations
+// Focus: planView geometries (line, arc, spiral, poly3, paramPoly3) and lane widths per section,
+// plus elevation/lateral profiles for road surface heights.
+// Roads, lanes and junctions keep their DOM node so unknown content survives export (writer.js).
+// `diagnostics` lists XML errors recovered from and content that was ignored or approximated.
+
+import { parseXml } from './xml.js';
+import { createDiagnostics } from './diagnostics.js';
+
+// Children read by the parser (or kept for export only); anything else is reported as ignored
+const KNOWN_TOP_LEVEL = new Set(['header', 'road', 'junction', 'station', 'userData', 'include', 'dataQuality']);
+const KNOWN_ROAD_CHILDREN = new Set(['link', 'type', 'planView', 'lanes', 'elevationProfile', 'lateralProfile', 'objects', 'signals', 'railroad', 'userData', 'include', 'dataQuality']);
+const GEOMETRY_TYPES = new Set(['line', 'arc', 'spiral', 'poly3', 'paramPoly3']);
 
 function textOf(el) {
   return el && (el.textContent || '').trim();
 }
 
 export function parseOpenDrive(xmlText) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(xmlText, 'application/xml');
-  const err = doc.querySelector('parsererror');
-  if (err) throw new Error('XML parse error');
+  const diag = createDiagnostics();
+  // DOMParser on the main thread; the DOM-free parser in workers and to recover malformed files
+  const recover = () => parseXml(xmlText, { onError: (e) => diag.error(`XML: ${e.message}`, { line: e.line, column: e.column }) });
+  let doc;
+  let recovered = false;
+  if (typeof DOMParser !== 'undefined') {
+    doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    const err = doc.querySelector('parsererror');
+    if (err) {
+      doc = recover();
+      recovered = true;
+      if (!diag.items.length) diag.error(`XML: ${(err.textContent || '').trim().split('\n')[0]}`);
+    }
+  } else {
+    doc = recover();
+    recovered = diag.items.length > 0;
+  }
+  const rootName = doc.documentElement.localName;
+  if (rootName !== 'OpenDRIVE') diag.error(`Root element is <${rootName}>, expected <OpenDRIVE>`, { node: doc.documentElement });
+  const ignored = ignoredCollector(diag);
+  for (const el of doc.documentElement.children) {
+    if (!KNOWN_TOP_LEVEL.has(el.localName)) ignored(el, {});
+  }
 
   const header = doc.querySelector('OpenDRIVE > header');
   const geoRefNode = header && header.querySelector('geoReference');
   const geoRef = geoRefNode ? textOf(geoRefNode) : '';
   const lat0 = findNumberInCrs(geoRef, 'lat_0');
   const lon0 = findNumberInCrs(geoRef, 'lon_0');
+  // <offset>: local -> projected shift and rotation (georef.js)
+  const offsetNode = header && header.querySelector(':scope > offset');
+  const offset = offsetNode ? {
+    x: num(offsetNode.getAttribute('x')) || 0,
+    y: num(offsetNode.getAttribute('y')) || 0,
+    z: num(offsetNode.getAttribute('z')) || 0,
+    hdg: num(offsetNode.getAttribute('hdg')) || 0,
+  } : null;
+
+  // source offsets of top-level roads/junctions, in document order, for the round-trip writer
+  const spans = topLevelSpans(xmlText, ['road', 'junction']);
 
   const roads = [];
-  doc.querySelectorAll('OpenDRIVE > road').forEach((r) => {
+  doc.querySelectorAll('OpenDRIVE > road').forEach((r, ri) => {
     const id = r.getAttribute('id');
+    for (const el of r.children) {
+      if (!KNOWN_ROAD_CHILDREN.has(el.localName)) ignored(el, { roadId: id });
+    }
     const name = r.getAttribute('name') || '';
     const length = num(r.getAttribute('length'));
+    // '-1' (or missing) means the road is not a connecting road inside a junction
+    const junction = r.getAttribute('junction') || '-1';
+    // traffic rule: right-hand (default) or left-hand traffic
+    const rule = r.getAttribute('rule') === 'LHT' ? 'LHT' : 'RHT';
+    const linkNode = r.querySelector(':scope > link');
+    const predecessor = readRoadLink(linkNode && linkNode.querySelector(':scope > predecessor'));
+    const successor = readRoadLink(linkNode && linkNode.querySelector(':scope > successor'));
+    // <type s type country><speed max unit/></type>, sorted by s
+    const types = [];
+    r.querySelectorAll(':scope > type').forEach((tp) => {
+      const sp = tp.querySelector(':scope > speed');
+      types.push({
+        s: num(tp.getAttribute('s')) || 0,
+        type: tp.getAttribute('type') || 'unknown',
+        country: tp.getAttribute('country') || undefined,
+        speed: sp ? readSpeed(sp) : undefined,
+      });
+    });
+    types.sort((a,b) => a.s - b.s);
     const planView = [];
     r.querySelectorAll(':scope > planView > geometry').forEach((g) => {
       const base = {
@@ -31,6 +95,15 @@ export function parseOpenDrive(xmlText) {
         hdg: num(g.getAttribute('hdg')),
         length: num(g.getAttribute('length')),
       };
+      const bad = Object.keys(base).filter(k => base[k] === undefined);
+      if (bad.length) diag.warning(`Road ${id}: geometry attribute${bad.length > 1 ? 's' : ''} ${bad.join(', ')} missing or not a number`, { node: g, roadId: id });
+      const prim = [...g.children].find(c => GEOMETRY_TYPES.has(c.localName));
+      if (!prim) {
+        const other = g.children[0];
+        diag.warning(other
+          ? `Road ${id}: unsupported geometry <${other.localName}> at s=${base.s ?? '?'} skipped`
+          : `Road ${id}: geometry at s=${base.s ?? '?'} has no line/arc/spiral/poly3/paramPoly3 and was skipped`, { node: other || g, roadId: id });
+      }
       if (g.querySelector(':scope > line')) {
         planView.push({ ...base, type: 'line' });
       } else if (g.querySelector(':scope > arc')) {
@@ -44,9 +117,12 @@ export function parseOpenDrive(xmlText) {
         planView.push({ ...base, type: 'spiral', curvStart, curvEnd });
       } else if (g.querySelector(':scope > paramPoly3')) {
         const p = g.querySelector(':scope > paramPoly3');
+        // p runs over [0, 1] unless pRange="arcLength" (some writers put it on <geometry>)
+        const pRange = (p.getAttribute('pRange') || g.getAttribute('pRange') || '').toLowerCase() === 'arclength' ? 'arcLength' : 'normalized';
         planView.push({
           ...base,
-          type: 'poly3',
+          type: 'paramPoly3',
+          pRange,
           aU: num(p.getAttribute('aU')),
           bU: num(p.getAttribute('bU')),
           cU: num(p.getAttribute('cU')),
@@ -56,6 +132,17 @@ export function parseOpenDrive(xmlText) {
           cV: num(p.getAttribute('cV')),
           dV: num(p.getAttribute('dV')),
         });
+      } else if (g.querySelector(':scope > poly3')) {
+        // legacy (<= 1.4) cubic v(u) in the local frame
+        const p = g.querySelector(':scope > poly3');
+        planView.push({
+          ...base,
+          type: 'poly3',
+          a: num(p.getAttribute('a')),
+          b: num(p.getAttribute('b')),
+          c: num(p.getAttribute('c')),
+          d: num(p.getAttribute('d')),
+        });
       }
     });
 
@@ -72,29 +159,460 @@ export function parseOpenDrive(xmlText) {
     });
     laneOffsets.sort((a,b) => (a.s||0) - (b.s||0));
 
+    // elevation and superelevation are cubic polynomials in ds; shape is a cubic in dt per s
+    const elevations = readCubics(r.querySelectorAll(':scope > elevationProfile > elevation'));
+    const superelevations = readCubics(r.querySelectorAll(':scope > lateralProfile > superelevation'));
+    const shapes = [];
+    r.querySelectorAll(':scope > lateralProfile > shape').forEach((sh) => {
+      shapes.push({
+        s: num(sh.getAttribute('s')) || 0,
+        t: num(sh.getAttribute('t')) || 0,
+        a: num(sh.getAttribute('a')) || 0,
+        b: num(sh.getAttribute('b')) || 0,
+        c: num(sh.getAttribute('c')) || 0,
+        d: num(sh.getAttribute('d')) || 0,
+      });
+    });
+    shapes.sort((a,b) => (a.s - b.s) || (a.t - b.t));
+
+    if (!planView.length) diag.warning(`Road ${id} has no planView geometry and is not drawn`, { node: r, roadId: id });
+
     const laneSections = [];
     r.querySelectorAll(':scope > lanes > laneSection').forEach((ls) => {
       const s = num(ls.getAttribute('s'));
-      const left = readLanes(ls.querySelector(':scope > left'));
-      const center = readLanes(ls.querySelector(':scope > center'));
-      const right = readLanes(ls.querySelector(':scope > right'));
+      const left = readLanes(ls.querySelector(':scope > left'), diag, id);
+      const center = readLanes(ls.querySelector(':scope > center'), diag, id);
+      const right = readLanes(ls.querySelector(':scope > right'), diag, id);
       laneSections.push({ s, left, center, right });
     });
 
-    roads.push({ id, name, length, planView, laneSections, laneOffsets });
+    const { objects, bridges, tunnels } = readObjects(r.querySelector(':scope > objects'));
+    const { signals, signalReferences } = readSignals(r.querySelector(':scope > signals'));
+    const switches = readSwitches(r.querySelector(':scope > railroad'));
+
+    roads.push({ id, name, length, junction, rule, predecessor, successor, types, planView, laneSections, laneOffsets, elevations, superelevations, shapes, objects, bridges, tunnels, signals, signalReferences, switches, node: r, span: spans.road[ri] });
+  });
+
+  const junctions = [];
+  doc.querySelectorAll('OpenDRIVE > junction').forEach((j, ji) => {
+    junctions.push({ ...readJunction(j), node: j, span: spans.junction[ji] });
+  });
+
+  const stations = [];
+  doc.querySelectorAll('OpenDRIVE > station').forEach((st) => stations.push(readStation(st)));
+
+  const diagnostics = diag.locate(xmlText, doc);
+  return { header: { lat0, lon0, geoRef, offset }, roads, junctions, stations, diagnostics, source: { text: xmlText, doc, recovered } };
+}
+
+// One warning per ignored element name (first occurrence located), counting repeats
+function ignoredCollector(diag) {
+  const seen = new Map();
+  return (el, at) => {
+    const name = el.localName;
+    const item = seen.get(name);
+    if (item) {
+      item.count++;
+      item.message = `<${name}> is not supported and was ignored (${item.count} elements)`;
+      return;
+    }
+    const added = diag.warning(`<${name}> is not supported and was ignored`, { node: el, ...at });
+    if (added) { added.count = 1; seen.set(name, added); }
+  };
+}
+
+// [start, end) offsets of the root's child elements with the given names. Comments, CDATA,
+// processing instructions and quoted attribute values are skipped so their content never counts.
+function topLevelSpans(text, names) {
+  const out = {};
+  for (const n of names) out[n] = [];
+  let depth = 0;
+  let open = null;
+  let i = text.indexOf('<');
+  while (i >= 0 && i < text.length) {
+    let end;
+    if (text.startsWith('<!--', i)) end = text.indexOf('-->', i) + 3;
+    else if (text.startsWith('<![CDATA[', i)) end = text.indexOf(']]>', i) + 3;
+    else if (text.startsWith('<?', i) || text.startsWith('<!', i)) end = text.indexOf('>', i) + 1;
+    else {
+      let j = i + 1, quote = null;
+      for (; j < text.length; j++) {
+        const ch = text[j];
+        if (quote) { if (ch === quote) quote = null; }
+        else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '>') break;
+      }
+      end = j + 1;
+      if (text[i + 1] === '/') {
+        depth--;
+        if (open && depth === 1) { out[open.name].push([open.start, end]); open = null; }
+      } else {
+        const name = /^<([^\s/>]+)/.exec(text.slice(i, i + 64))?.[1];
+        const selfClosing = text[j - 1] === '/';
+        if (depth === 1 && out[name]) {
+          if (selfClosing) out[name].push([i, end]);
+          else open = { name, start: i };
+        }
+        if (!selfClosing) depth++;
+      }
+    }
+    if (end <= i) break;
+    i = text.indexOf('<', end);
+  }
+  return out;
+}
+
+function readJunction(j) {
+  const connections = [];
+  j.querySelectorAll(':scope > connection').forEach((c) => {
+    const laneLinks = [];
+    c.querySelectorAll(':scope > laneLink').forEach((ll) => {
+      laneLinks.push({ from: num(ll.getAttribute('from')), to: num(ll.getAttribute('to')) });
+    });
+    connections.push({
+      id: c.getAttribute('id'),
+      incomingRoad: c.getAttribute('incomingRoad'),
+      connectingRoad: c.getAttribute('connectingRoad'),
+      contactPoint: c.getAttribute('contactPoint') || undefined,
+      laneLinks,
+    });
+  });
+  // priorities between connecting roads (high wins over low)
+  const priorities = [];
+  j.querySelectorAll(':scope > priority').forEach((p) => {
+    priorities.push({ high: p.getAttribute('high'), low: p.getAttribute('low') });
+  });
+  return {
+    id: j.getAttribute('id'),
+    name: j.getAttribute('name') || '',
+    type: j.getAttribute('type') || 'default',
+    connections,
+    priorities,
+  };
+}
+
+// <objects>: object (with outline(s), repeat, markings), bridge, tunnel
+function readObjects(container) {
+  const objects = [];
+  const bridges = [];
+  const tunnels = [];
+  if (!container) return { objects, bridges, tunnels };
+  container.querySelectorAll(':scope > object').forEach((o) => {
+    // 1.4 has a single <outline>, 1.5+ wraps them in <outlines>
+    const outlines = [];
+    o.querySelectorAll(':scope > outline, :scope > outlines > outline').forEach((ol) => {
+      const corners = [];
+      ol.querySelectorAll(':scope > cornerRoad, :scope > cornerLocal').forEach((c) => {
+        if (c.localName === 'cornerRoad') {
+          corners.push({
+            kind: 'road',
+            s: num(c.getAttribute('s')) || 0,
+            t: num(c.getAttribute('t')) || 0,
+            dz: num(c.getAttribute('dz')) || 0,
+            height: num(c.getAttribute('height')) || 0,
+          });
+        } else {
+          corners.push({
+            kind: 'local',
+            u: num(c.getAttribute('u')) || 0,
+            v: num(c.getAttribute('v')) || 0,
+            z: num(c.getAttribute('z')) || 0,
+            height: num(c.getAttribute('height')) || 0,
+          });
+        }
+      });
+      outlines.push({
+        id: ol.getAttribute('id') || undefined,
+        // outlines are closed unless stated otherwise
+        closed: ol.getAttribute('closed') !== 'false',
+        fillType: ol.getAttribute('fillType') || undefined,
+        outer: ol.getAttribute('outer') !== 'false',
+        laneType: ol.getAttribute('laneType') || undefined,
+        corners,
+      });
+    });
+    const repeats = [];
+    o.querySelectorAll(':scope > repeat').forEach((rp) => {
+      repeats.push({
+        s: num(rp.getAttribute('s')) || 0,
+        length: num(rp.getAttribute('length')) || 0,
+        distance: num(rp.getAttribute('distance')) || 0,
+        tStart: num(rp.getAttribute('tStart')) || 0,
+        tEnd: num(rp.getAttribute('tEnd')) || 0,
+        widthStart: num(rp.getAttribute('widthStart')),
+        widthEnd: num(rp.getAttribute('widthEnd')),
+        heightStart: num(rp.getAttribute('heightStart')),
+        heightEnd: num(rp.getAttribute('heightEnd')),
+        zOffsetStart: num(rp.getAttribute('zOffsetStart')) || 0,
+        zOffsetEnd: num(rp.getAttribute('zOffsetEnd')) || 0,
+        lengthStart: num(rp.getAttribute('lengthStart')),
+        lengthEnd: num(rp.getAttribute('lengthEnd')),
+        radiusStart: num(rp.getAttribute('radiusStart')),
+        radiusEnd: num(rp.getAttribute('radiusEnd')),
+      });
+    });
+    const markings = [];
+    o.querySelectorAll(':scope > markings > marking').forEach((mk) => {
+      const cornerReferences = [];
+      mk.querySelectorAll(':scope > cornerReference').forEach((cr) => cornerReferences.push(num(cr.getAttribute('id'))));
+      markings.push({
+        side: mk.getAttribute('side') || undefined,
+        weight: mk.getAttribute('weight') || undefined,
+        width: num(mk.getAttribute('width')),
+        color: mk.getAttribute('color') || 'white',
+        zOffset: num(mk.getAttribute('zOffset')) || 0,
+        spaceLength: num(mk.getAttribute('spaceLength')) || 0,
+        lineLength: num(mk.getAttribute('lineLength')) || 0,
+        startOffset: num(mk.getAttribute('startOffset')) || 0,
+        stopOffset: num(mk.getAttribute('stopOffset')) || 0,
+        cornerReferences,
+      });
+    });
+    objects.push({
+      id: o.getAttribute('id'),
+      name: o.getAttribute('name') || '',
+      type: o.getAttribute('type') || 'none',
+      subtype: o.getAttribute('subtype') || undefined,
+      dynamic: o.getAttribute('dynamic') === 'yes',
+      s: num(o.getAttribute('s')) || 0,
+      t: num(o.getAttribute('t')) || 0,
+      zOffset: num(o.getAttribute('zOffset')) || 0,
+      hdg: num(o.getAttribute('hdg')) || 0,
+      pitch: num(o.getAttribute('pitch')) || 0,
+      roll: num(o.getAttribute('roll')) || 0,
+      orientation: o.getAttribute('orientation') || undefined,
+      validLength: num(o.getAttribute('validLength')),
+      length: num(o.getAttribute('length')),
+      width: num(o.getAttribute('width')),
+      height: num(o.getAttribute('height')),
+      radius: num(o.getAttribute('radius')),
+      outlines,
+      repeats,
+      markings,
+    });
+  });
+  container.querySelectorAll(':scope > bridge').forEach((b) => {
+    bridges.push({
+      id: b.getAttribute('id'),
+      name: b.getAttribute('name') || '',
+      type: b.getAttribute('type') || undefined,
+      s: num(b.getAttribute('s')) || 0,
+      length: num(b.getAttribute('length')) || 0,
+    });
+  });
+  container.querySelectorAll(':scope > tunnel').forEach((tn) => {
+    tunnels.push({
+      id: tn.getAttribute('id'),
+      name: tn.getAttribute('name') || '',
+      type: tn.getAttribute('type') || undefined,
+      s: num(tn.getAttribute('s')) || 0,
+      length: num(tn.getAttribute('length')) || 0,
+      lighting: num(tn.getAttribute('lighting')),
+      daylight: num(tn.getAttribute('daylight')),
+    });
+  });
+  return { objects, bridges, tunnels };
+}
+
+// <signals>: signal (with validity, dependency, reference) and signalReference
+function readSignals(container) {
+  const signals = [];
+  const signalReferences = [];
+  if (!container) return { signals, signalReferences };
+  const readValidity = (el) => {
+    const out = [];
+    el.querySelectorAll(':scope > validity').forEach((v) => {
+      out.push({ fromLane: num(v.getAttribute('fromLane')), toLane: num(v.getAttribute('toLane')) });
+    });
+    return out;
+  };
+  container.querySelectorAll(':scope > signal').forEach((sg) => {
+    const dependencies = [];
+    sg.querySelectorAll(':scope > dependency').forEach((d) => {
+      dependencies.push({ id: d.getAttribute('id'), type: d.getAttribute('type') || undefined });
+    });
+    const references = [];
+    sg.querySelectorAll(':scope > reference').forEach((rf) => {
+      references.push({ elementType: rf.getAttribute('elementType'), elementId: rf.getAttribute('elementId'), type: rf.getAttribute('type') || undefined });
+    });
+    signals.push({
+      id: sg.getAttribute('id'),
+      name: sg.getAttribute('name') || '',
+      s: num(sg.getAttribute('s')) || 0,
+      t: num(sg.getAttribute('t')) || 0,
+      zOffset: num(sg.getAttribute('zOffset')) || 0,
+      hOffset: num(sg.getAttribute('hOffset')) || 0,
+      pitch: num(sg.getAttribute('pitch')) || 0,
+      roll: num(sg.getAttribute('roll')) || 0,
+      // '+' valid in positive s direction, '-' in negative, 'none' both
+      orientation: sg.getAttribute('orientation') || 'none',
+      dynamic: sg.getAttribute('dynamic') === 'yes',
+      country: sg.getAttribute('country') || undefined,
+      countryRevision: sg.getAttribute('countryRevision') || undefined,
+      type: sg.getAttribute('type') || '-1',
+      subtype: sg.getAttribute('subtype') || '-1',
+      value: num(sg.getAttribute('value')),
+      unit: sg.getAttribute('unit') || undefined,
+      text: sg.getAttribute('text') || undefined,
+      height: num(sg.getAttribute('height')),
+      width: num(sg.getAttribute('width')),
+      validity: readValidity(sg),
+      dependencies,
+      references,
+    });
+  });
+  container.querySelectorAll(':scope > signalReference').forEach((sr) => {
+    signalReferences.push({
+      id: sr.getAttribute('id'),
+      s: num(sr.getAttribute('s')) || 0,
+      t: num(sr.getAttribute('t')) || 0,
+      orientation: sr.getAttribute('orientation') || 'none',
+      validity: readValidity(sr),
+    });
+  });
+  return { signals, signalReferences };
+}
+
+// <railroad><switch>: position dynamic|straight|turn; main and side track as { id (road), s, dir '+'|'-' }
+function readSwitches(container) {
+  const switches = [];
+  if (!container) return switches;
+  const readTrack = (el) => (el ? { id: el.getAttribute('id'), s: num(el.getAttribute('s')) || 0, dir: el.getAttribute('dir') || '+' } : undefined);
+  container.querySelectorAll(':scope > switch').forEach((sw) => {
+    const partner = sw.querySelector(':scope > partner');
+    switches.push({
+      id: sw.getAttribute('id'),
+      name: sw.getAttribute('name') || '',
+      position: sw.getAttribute('position') || 'dynamic',
+      mainTrack: readTrack(sw.querySelector(':scope > mainTrack')),
+      sideTrack: readTrack(sw.querySelector(':scope > sideTrack')),
+      partner: partner ? { id: partner.getAttribute('id'), name: partner.getAttribute('name') || undefined } : undefined,
+    });
   });
+  return switches;
+}
+
+// <station type>: platforms made of segments along rail roads (sStart..sEnd on the left or right side)
+function readStation(st) {
+  const platforms = [];
+  st.querySelectorAll(':scope > platform').forEach((pf) => {
+    const segments = [];
+    pf.querySelectorAll(':scope > segment').forEach((sg) => {
+      segments.push({
+        roadId: sg.getAttribute('roadId'),
+        sStart: num(sg.getAttribute('sStart')) || 0,
+        sEnd: num(sg.getAttribute('sEnd')) || 0,
+        side: sg.getAttribute('side') === 'left' ? 'left' : 'right',
+      });
+    });
+    platforms.push({ id: pf.getAttribute('id'), name: pf.getAttribute('name') || '', segments });
+  });
+  return { id: st.getAttribute('id'), name: st.getAttribute('name') || '', type: st.getAttribute('type') || undefined, platforms };
+}
+
+// Lane ids a signal (or signal reference) applies to in the given laneSection. Without <validity>
+// the orientation decides: '+' -> right lanes, '-' -> left lanes, 'none' -> all lanes.
+export function signalValidLanes(signal, laneSection) {
+  const ids = [...(laneSection?.left || []), ...(laneSection?.right || [])].map(l => l.id);
+  if (signal?.validity && signal.validity.length) {
+    const out = new Set();
+    for (const v of signal.validity) {
+      const lo = Math.min(v.fromLane ?? 0, v.toLane ?? 0), hi = Math.max(v.fromLane ?? 0, v.toLane ?? 0);
+      for (const id of ids) { if (id >= lo && id <= hi) out.add(id); }
+    }
+    return Array.from(out).sort((a,b) => a - b);
+  }
+  const pick = signal?.orientation === '+' ? ids.filter(id => id < 0) : (signal?.orientation === '-' ? ids.filter(id => id > 0) : ids);
+  return pick.sort((a,b) => a - b);
+}
+
+// Road-level <predecessor>/<successor>: elementType road|junction, elementId, contactPoint start|end
+function readRoadLink(el) {
+  if (!el) return undefined;
+  return {
+    elementType: el.getAttribute('elementType') || 'road',
+    elementId: el.getAttribute('elementId'),
+    contactPoint: el.getAttribute('contactPoint') || undefined,
+  };
+}
+
+// Connecting roads are the ones that belong to a junction
+export function isConnectingRoad(road) {
+  return !!road && road.junction != null && road.junction !== '-1';
+}
 
-  return { header: { lat0, lon0, geoRef }, roads };
+// Road graph derived from road links and junction connections.
+// Contacts are road ends: 'start' (s=0, predecessor side) and 'end' (s=length, successor side).
+// neighbors(roadId, contact) -> [{ roadId, contactPoint, junction }] where contactPoint is the
+// touched end of the neighbor road; followLane(roadId, laneId, contact) -> [{ roadId, laneId, contactPoint }]
+export function buildRoadGraph(model) {
+  const roadsById = new Map();
+  const junctionsById = new Map();
+  for (const r of (model?.roads || [])) roadsById.set(r.id, r);
+  for (const j of (model?.junctions || [])) junctionsById.set(j.id, j);
+
+  const linkAt = (road, contact) => (contact === 'start' ? road?.predecessor : road?.successor);
+
+  function neighbors(roadId, contact) {
+    const road = roadsById.get(roadId);
+    const link = linkAt(road, contact);
+    if (!link) return [];
+    if (link.elementType === 'junction') {
+      const j = junctionsById.get(link.elementId);
+      if (!j) return [];
+      return j.connections
+        .filter(c => c.incomingRoad === roadId && roadsById.has(c.connectingRoad))
+        .map(c => ({ roadId: c.connectingRoad, contactPoint: c.contactPoint || 'start', junction: j.id, connection: c }));
+    }
+    if (!roadsById.has(link.elementId)) return [];
+    return [{ roadId: link.elementId, contactPoint: link.contactPoint || 'start', junction: undefined }];
+  }
+
+  // Lanes continuing the given lane across the road end. Within a road lane links refer to the
+  // first/last laneSection; through a junction the connection laneLinks are used.
+  function followLane(roadId, laneId, contact) {
+    const road = roadsById.get(roadId);
+    if (!road) return [];
+    const out = [];
+    for (const nb of neighbors(roadId, contact)) {
+      if (nb.connection) {
+        for (const ll of nb.connection.laneLinks) {
+          if (ll.from === laneId) out.push({ roadId: nb.roadId, laneId: ll.to, contactPoint: nb.contactPoint });
+        }
+        continue;
+      }
+      const lane = laneInSection(edgeSection(road, contact), laneId);
+      const targetId = lane && (contact === 'start' ? lane.predecessor : lane.successor);
+      if (targetId == null) continue;
+      const target = laneInSection(edgeSection(roadsById.get(nb.roadId), nb.contactPoint), targetId);
+      if (target) out.push({ roadId: nb.roadId, laneId: target.id, contactPoint: nb.contactPoint });
+    }
+    return out;
+  }
+
+  return { roadsById, junctionsById, linkAt: (roadId, contact) => linkAt(roadsById.get(roadId), contact), neighbors, followLane };
+}
+
+export function edgeSection(road, contact) {
+  const secs = road?.laneSections || [];
+  return contact === 'start' ? secs[0] : secs[secs.length - 1];
+}
+
+export function laneInSection(sec, laneId) {
+  if (!sec) return null;
+  return [...(sec.left || []), ...(sec.center || []), ...(sec.right || [])].find(l => l.id === laneId) || null;
 }
 
 // no-op: laneOffsets parsed as array on road
 
-function readLanes(container) {
+function readLanes(container, diag, roadId) {
   const lanes = [];
   if (!container) return lanes;
   container.querySelectorAll(':scope > lane').forEach((lane) => {
     const id = num(lane.getAttribute('id'));
     const type = lane.getAttribute('type') || 'none';
+    // level="true" keeps the lane flat (excluded from superelevation)
+    const level = lane.getAttribute('level') === 'true' || lane.getAttribute('level') === '1';
     const link = lane.querySelector(':scope > link');
     const predecessor = link && link.querySelector(':scope > predecessor') ? num(link.querySelector(':scope > predecessor').getAttribute('id')) : undefined;
     const successor = link && link.querySelector(':scope > successor') ? num(link.querySelector(':scope > successor').getAttribute('id')) : undefined;
@@ -122,10 +640,75 @@ function readLanes(container) {
         weight: rm.getAttribute('weight') || undefined,
         height: num(rm.getAttribute('height')),
         rule: rm.getAttribute('rule') || undefined,
+        // <type><line>: repeating line definitions of a custom (or detailed standard) mark
+        typeName: rm.querySelector(':scope > type')?.getAttribute('name') || undefined,
+        typeLines: readMarkLines(rm.querySelector(':scope > type')),
+        // <explicit><line>: one-off line segments, not repeated
+        explicit: readMarkLines(rm.querySelector(':scope > explicit')),
       });
     });
     roadMarks.sort((a,b) => (a.sOffset||0) - (b.sOffset||0));
-    lanes.push({ id, type, widths, roadMarks, predecessor, successor });
+    // height offsets of inner/outer lane border above the road surface (e.g. raised sidewalks)
+    const heights = [];
+    lane.querySelectorAll(':scope > height').forEach((h) => {
+      heights.push({
+        sOffset: num(h.getAttribute('sOffset')) || 0,
+        inner: num(h.getAttribute('inner')) || 0,
+        outer: num(h.getAttribute('outer')) || 0,
+      });
+    });
+    heights.sort((a,b) => a.sOffset - b.sOffset);
+    const speeds = [];
+    lane.querySelectorAll(':scope > speed').forEach((sp) => {
+      speeds.push({ sOffset: num(sp.getAttribute('sOffset')) || 0, ...readSpeed(sp) });
+    });
+    speeds.sort((a,b) => a.sOffset - b.sOffset);
+    // <border> gives the outer border position directly instead of a width
+    const borders = [];
+    lane.querySelectorAll(':scope > border').forEach((b) => {
+      borders.push({
+        sOffset: num(b.getAttribute('sOffset')),
+        a: num(b.getAttribute('a')),
+        b: num(b.getAttribute('b')),
+        c: num(b.getAttribute('c')),
+        d: num(b.getAttribute('d')),
+      });
+    });
+    borders.sort((a,b) => (a.sOffset||0) - (b.sOffset||0));
+    if (widths.length && borders.length && diag) {
+      diag.warning(`Road ${roadId} lane ${id}: both <width> and <border> given; borders ignored`, { node: lane, roadId });
+    }
+    // <access>: one record per road user; pre-1.5 files have no rule and list the permitted user
+    const access = [];
+    lane.querySelectorAll(':scope > access').forEach((a) => {
+      access.push({
+        sOffset: num(a.getAttribute('sOffset')) || 0,
+        rule: a.getAttribute('rule') || 'allow',
+        restriction: a.getAttribute('restriction') || 'none',
+      });
+    });
+    access.sort((a,b) => a.sOffset - b.sOffset);
+    const materials = [];
+    lane.querySelectorAll(':scope > material').forEach((m) => {
+      materials.push({
+        sOffset: num(m.getAttribute('sOffset')) || 0,
+        surface: m.getAttribute('surface') || undefined,
+        friction: num(m.getAttribute('friction')),
+        roughness: num(m.getAttribute('roughness')),
+      });
+    });
+    materials.sort((a,b) => a.sOffset - b.sOffset);
+    // <rule value>: free-text traffic rules (e.g. "no stopping at any time")
+    const rules = [];
+    lane.querySelectorAll(':scope > rule').forEach((r) => {
+      rules.push({ sOffset: num(r.getAttribute('sOffset')) || 0, value: r.getAttribute('value') || '' });
+    });
+    rules.sort((a,b) => a.sOffset - b.sOffset);
+    // travel direction: 1.7 direction="standard|reversed|both", RoadRunner <userData><vectorLane travelDir>
+    const direction = lane.getAttribute('direction') || undefined;
+    const vectorLane = lane.querySelector(':scope > userData > vectorLane');
+    const travelDir = (vectorLane && vectorLane.getAttribute('travelDir')) || undefined;
+    lanes.push({ id, type, level, direction, travelDir, widths, borders, roadMarks, heights, speeds, access, materials, rules, predecessor, successor, node: lane });
   });
   // sort by id descending on left (positive), ascending on right (negative)
   return lanes.sort((a, b) => b.id - a.id);
@@ -142,6 +725,254 @@ export function laneWidthAt(widths, sInSection) {
   return seg.a + seg.b * ds + seg.c * ds * ds + seg.d * ds * ds * ds;
 }
 
+function readMarkLines(el) {
+  const lines = [];
+  if (!el) return lines;
+  el.querySelectorAll(':scope > line').forEach((l) => {
+    lines.push({
+      length: num(l.getAttribute('length')) || 0,
+      space: num(l.getAttribute('space')) || 0,
+      tOffset: num(l.getAttribute('tOffset')) || 0,
+      sOffset: num(l.getAttribute('sOffset')) || 0,
+      width: num(l.getAttribute('width')),
+      rule: l.getAttribute('rule') || undefined,
+      color: l.getAttribute('color') || undefined,
+    });
+  });
+  return lines;
+}
+
+// Default painted widths (m) and dash pattern (m) of standard roadMark types
+const MARK_WIDTH = { standard: 0.12, bold: 0.25, 'botts dots': 0.1, curb: 0.15, grass: 0.5 };
+const MARK_DASH = { broken: { length: 3, space: 9 }, 'botts dots': { length: 0.1, space: 1.2 } };
+
+// Repeating line definitions of a roadMark: { length, space, tOffset, sOffset, width, color, rule },
+// length or space 0 = continuous. Explicit <type><line> entries win over the named type; double
+// types are ordered from inside to outside (center lane: left to right), as in the spec.
+export function roadMarkLines(rm, side) {
+  if (!rm) return [];
+  const type = String(rm.type || 'none').toLowerCase();
+  const width = (Number.isFinite(rm.width) && rm.width > 0)
+    ? rm.width
+    : (MARK_WIDTH[type] || MARK_WIDTH[rm.weight === 'bold' ? 'bold' : 'standard']);
+  if (rm.typeLines && rm.typeLines.length) {
+    return rm.typeLines.map(l => ({
+      ...l,
+      width: (Number.isFinite(l.width) && l.width > 0) ? l.width : width,
+      color: l.color || rm.color,
+      rule: l.rule || rm.rule,
+    }));
+  }
+  const line = (kind, tOffset) => {
+    const dash = MARK_DASH[kind] || { length: 0, space: 0 };
+    const w = kind === 'botts dots' ? Math.max(width, dash.length) : width;
+    return { length: kind === 'botts dots' ? w : dash.length, space: dash.space, tOffset, sOffset: 0, width: w, color: rm.color, rule: rm.rule };
+  };
+  const parts = type.split(/\s+/).filter(Boolean);
+  if (type === 'none' || !parts.length) return [];
+  if (['solid', 'broken', 'botts dots', 'curb', 'grass', 'edge', 'custom'].includes(type)) {
+    return [line(type === 'broken' || type === 'botts dots' ? type : 'solid', 0)];
+  }
+  if (parts.length === 2 && parts.every(p => p === 'solid' || p === 'broken')) {
+    // 'inside' is toward the reference line: -t on the left side, +t on the right
+    const sign = side === 'left' ? -1 : 1;
+    const half = width; // gap between the two lines = line width
+    return [line(parts[0], sign * half), line(parts[1], -sign * half)];
+  }
+  return [line('solid', 0)];
+}
+
+// Records of a step-wise lane attribute active at sInSection: all entries sharing the
+// greatest sOffset <= sInSection (access and rule may repeat at the same sOffset)
+function recordsAt(records, sInSection) {
+  let at = null;
+  for (const r of (records || [])) {
+    if (sInSection + 1e-9 >= r.sOffset) at = r.sOffset;
+  }
+  if (at == null) return [];
+  return records.filter(r => r.sOffset === at);
+}
+
+// Access, material, rules, height and level of a lane at sInSection
+export function laneAttributesAt(lane, sInSection) {
+  if (!lane) return null;
+  const access = recordsAt(lane.access, sInSection);
+  const allow = access.filter(a => a.rule === 'allow').map(a => a.restriction);
+  const deny = access.filter(a => a.rule === 'deny').map(a => a.restriction);
+  const material = recordsAt(lane.materials, sInSection)[0] || null;
+  const rules = recordsAt(lane.rules, sInSection).map(r => r.value).filter(Boolean);
+  const height = (lane.heights && lane.heights.length) ? laneHeightAt(lane.heights, sInSection) : null;
+  return { level: !!lane.level, allow, deny, material, rules, height };
+}
+
+// Travel direction of a lane relative to the road's s: 'forward', 'backward', 'both' or 'none'.
+// Vendor hints win, then the lane's own direction/type; otherwise right lanes run along s under
+// right-hand traffic and left lanes against it (mirrored for LHT).
+export function laneTravelDirection(road, lane, side) {
+  if (!lane) return 'none';
+  switch (lane.travelDir) {
+    case 'forward': return 'forward';
+    case 'backward': return 'backward';
+    case 'bidirectional': return 'both';
+    case 'undirected': return 'none';
+  }
+  if (lane.direction === 'both' || lane.type === 'bidirectional') return 'both';
+  const alongS = (side === 'right') === (road?.rule !== 'LHT');
+  const forward = lane.direction === 'reversed' ? !alongS : alongS;
+  return forward ? 'forward' : 'backward';
+}
+
+// <speed max unit>: max is a number or 'no limit' / 'undefined'; unit defaults to m/s
+function readSpeed(el) {
+  const raw = el.getAttribute('max');
+  const unit = normalizeSpeedUnit(el.getAttribute('unit'));
+  if (raw === 'no limit') return { max: Infinity, unit };
+  return { max: num(raw), unit };
+}
+
+function normalizeSpeedUnit(unit) {
+  const u = String(unit || 'm/s').trim().toLowerCase().replace(/\s+/g, '');
+  if (u === 'mph') return 'mph';
+  if (u === 'km/h' || u === 'kmh' || u === 'kph') return 'km/h';
+  return 'm/s';
+}
+
+const SPEED_TO_MS = { 'm/s': 1, 'km/h': 1 / 3.6, 'mph': 0.44704 };
+
+// Convert a speed between 'm/s', 'km/h' and 'mph' (Infinity = no limit stays Infinity)
+export function convertSpeed(value, fromUnit, toUnit = 'm/s') {
+  if (value == null || Number.isNaN(value)) return undefined;
+  const ms = value * SPEED_TO_MS[normalizeSpeedUnit(fromUnit)];
+  return ms / SPEED_TO_MS[normalizeSpeedUnit(toUnit)];
+}
+
+// Road type record active at s
+export function roadTypeAt(road, s) {
+  const types = road?.types || [];
+  let rec = null;
+  for (const t of types) { if (s + 1e-9 >= t.s) rec = t; }
+  return rec || types[0] || null;
+}
+
+// Speed limit at s: lane <speed> wins over the road <type><speed>. Returns { max, unit, ms, source } or null
+export function speedLimitAt(road, lane, sInSection, s) {
+  let rec = null;
+  for (const sp of (lane?.speeds || [])) { if (sInSection + 1e-9 >= sp.sOffset) rec = sp; }
+  let source = 'lane';
+  if (!rec || rec.max == null) {
+    rec = roadTypeAt(road, s)?.speed || null;
+    source = 'road';
+  }
+  if (!rec || rec.max == null) return null;
+  return { max: rec.max, unit: rec.unit, ms: convertSpeed(rec.max, rec.unit, 'm/s'), source };
+}
+
+// Lane height {inner, outer} at s within section; linear between records like libOpenDRIVE
+export function laneHeightAt(heights, sInSection) {
+  if (!heights || heights.length === 0) return { inner: 0, outer: 0 };
+  let i = 0;
+  for (let k = 0; k < heights.length; k++) {
+    if (sInSection + 1e-9 >= heights[k].sOffset) i = k;
+  }
+  const h0 = heights[i], h1 = heights[i + 1];
+  if (!h1 || !(h1.sOffset > h0.sOffset) || sInSection <= h0.sOffset) return { inner: h0.inner, outer: h0.outer };
+  const f = (sInSection - h0.sOffset) / (h1.sOffset - h0.sOffset);
+  return { inner: h0.inner + (h1.inner - h0.inner) * f, outer: h0.outer + (h1.outer - h0.outer) * f };
+}
+
+// Piecewise cubic {s,a,b,c,d}[] (sorted by s) evaluated at s; 0 when empty
+export function cubicAt(records, s) {
+  if (!records || records.length === 0) return 0;
+  let rec = records[0];
+  for (const r of records) { if (s + 1e-9 >= r.s) rec = r; }
+  const ds = s - rec.s;
+  return rec.a + rec.b * ds + rec.c * ds * ds + rec.d * ds * ds * ds;
+}
+
+export function elevationAt(road, s) {
+  return cubicAt(road?.elevations, s);
+}
+
+// Shift of the lane-offset line (center lane) from the reference line at s
+export function laneOffsetAt(road, s) {
+  return cubicAt(road?.laneOffsets, s);
+}
+
+export function superelevationAt(road, s) {
+  return cubicAt(road?.superelevations, s);
+}
+
+// lateralProfile <shape>: cubic in dt from each t at a given s, linear interpolation between s groups
+export function shapeAt(road, s, t) {
+  const shapes = road?.shapes;
+  if (!shapes || shapes.length === 0) return 0;
+  const groups = [];
+  for (const sh of shapes) {
+    const g = groups[groups.length - 1];
+    if (g && Math.abs(g.s - sh.s) < 1e-9) g.recs.push(sh); else groups.push({ s: sh.s, recs: [sh] });
+  }
+  const evalGroup = (g) => {
+    let rec = g.recs[0];
+    for (const r of g.recs) { if (t + 1e-9 >= r.t) rec = r; }
+    const dt = t - rec.t;
+    return rec.a + rec.b * dt + rec.c * dt * dt + rec.d * dt * dt * dt;
+  };
+  let gi = 0;
+  for (let k = 0; k < groups.length; k++) { if (s + 1e-9 >= groups[k].s) gi = k; }
+  const g0 = groups[gi], g1 = groups[gi + 1];
+  if (!g1 || s <= g0.s) return evalGroup(g0);
+  const f = (s - g0.s) / (g1.s - g0.s);
+  return evalGroup(g0) * (1 - f) + evalGroup(g1) * f;
+}
+
+// Height of the point (s, t, h) on the road surface: elevation + superelevation roll + shape.
+// levelT: inner border t of a level="true" lane; the roll stops there and the lane stays flat
+export function surfaceHeightAt(road, s, t, h = 0, levelT) {
+  const roll = superelevationAt(road, s);
+  const tRoll = Number.isFinite(levelT) ? levelT : t;
+  return elevationAt(road, s) + tRoll * Math.sin(roll) + (shapeAt(road, s, t) + h) * Math.cos(roll);
+}
+
+function readCubics(nodes) {
+  const out = [];
+  nodes.forEach((n) => {
+    out.push({
+      s: num(n.getAttribute('s')) || 0,
+      a: num(n.getAttribute('a')) || 0,
+      b: num(n.getAttribute('b')) || 0,
+      c: num(n.getAttribute('c')) || 0,
+      d: num(n.getAttribute('d')) || 0,
+    });
+  });
+  return out.sort((a,b) => a.s - b.s);
+}
+
+// Inner/outer border distance of every lane on one side at s within the section, measured outward
+// from the lane-offset line. <width> lanes stack on their inner neighbour, <border> lanes take the
+// t offset of their outer border from the polynomial (width wins when a lane has both), signed
+// outward for the side and never inside the inner border, so a border polynomial that dips across
+// the lane-offset line or an inner lane collapses the lane instead of folding it back. Sections
+// mixing both kinds are resolved lane by lane from the center outwards.
+export function laneBordersAt(sideLanes, sInSection) {
+  const out = new Map();
+  const sorted = (sideLanes || []).slice().sort((a,b) => Math.abs(a.id) - Math.abs(b.id));
+  let inner = 0;
+  for (const ln of sorted) {
+    let outer = inner;
+    if (ln.widths && ln.widths.length) outer = inner + laneWidthAt(ln.widths, sInSection);
+    else if (ln.borders && ln.borders.length) outer = Math.max(inner, Math.sign(ln.id) * laneWidthAt(ln.borders, sInSection));
+    out.set(ln.id, { inner, outer });
+    inner = outer;
+  }
+  return out;
+}
+
+// Records driving a lane's extent: widths, or borders for border-defined lanes
+export function laneShapeRecords(lane) {
+  if (lane?.widths && lane.widths.length) return lane.widths;
+  return lane?.borders || [];
+}
+
 function findNumberInCrs(crsText, key) {
   if (!crsText) return undefined;
   const m = new RegExp(`${key}=([0-9eE+\-.]+)`).exec(crsText);
@@ -0,0 +1,73 @@
+// Standard clothoid via Fresnel integrals: JavaScript port of odrSpiral (VIRES, Apache-2.0;
+// see libOpenDRIVE/src/Geometries/Spiral/odrSpiral.cpp), using the CEPHES rational approximations.
+
+// S(x) for small x
+const SN = [-2.99181919401019853726e3, 7.08840045257738576863e5, -6.29741486205862506537e7, 2.54890880573376359104e9, -4.42979518059697779103e10, 3.18016297876567817986e11];
+const SD = [2.81376268889994315696e2, 4.55847810806532581675e4, 5.17343888770096400730e6, 4.19320245898111231129e8, 2.24411795645340920940e10, 6.07366389490084639049e11];
+// C(x) for small x
+const CN = [-4.98843114573573548651e-8, 9.50428062829859605134e-6, -6.45191435683965050962e-4, 1.88843319396703850064e-2, -2.05525900955013891793e-1, 9.99999999999999998822e-1];
+const CD = [3.99982968972495980367e-12, 9.15439215774657478799e-10, 1.25001862479598821474e-7, 1.22262789024179030997e-5, 8.68029542941784300606e-4, 4.12142090722199792936e-2, 1.00000000000000000118e0];
+// auxiliary f(x)
+const FN = [4.21543555043677546506e-1, 1.43407919780758885261e-1, 1.15220955073585758835e-2, 3.45017939782574027900e-4, 4.63613749287867322088e-6, 3.05568983790257605827e-8, 1.02304514164907233465e-10, 1.72010743268161828879e-13, 1.34283276233062758925e-16, 3.76329711269987889006e-20];
+const FD = [7.51586398353378947175e-1, 1.16888925859191382142e-1, 6.44051526508858611005e-3, 1.55934409164153020873e-4, 1.84627567348930545870e-6, 1.12699224763999035261e-8, 3.60140029589371370404e-11, 5.88754533621578410010e-14, 4.52001434074129701496e-17, 1.25443237090011264384e-20];
+// auxiliary g(x)
+const GN = [5.04442073643383265887e-1, 1.97102833525523411709e-1, 1.87648584092575249293e-2, 6.84079380915393090172e-4, 1.15138826111884280931e-5, 9.82852443688422223854e-8, 4.45344415861750144738e-10, 1.08268041139020870318e-12, 1.37555460633261799868e-15, 8.36354435630677421531e-19, 1.86958710162783235106e-22];
+const GD = [1.47495759925128324529e0, 3.37748989120019970451e-1, 2.53603741420338795122e-2, 8.14679107184306179049e-4, 1.27545075667729118702e-5, 1.04314589657571990585e-7, 4.60680728146520428211e-10, 1.10273215066240270757e-12, 1.38796531259578871258e-15, 8.39158816283118707363e-19, 1.86958710162783236342e-22];
+
+// Beyond this |s / a| the rational approximations lose too many digits to difference positions
+export const FRESNEL_LIMIT = 1e3;
+
+function polevl(x, coef) {
+  let ans = coef[0];
+  for (let i = 1; i < coef.length; i++) ans = ans * x + coef[i];
+  return ans;
+}
+
+// polynomial with an implicit leading coefficient 1
+function p1evl(x, coef) {
+  let ans = x + coef[0];
+  for (let i = 1; i < coef.length; i++) ans = ans * x + coef[i];
+  return ans;
+}
+
+// [S(x), C(x)] with the normalization of odrSpiral: S(x) = ∫0..x sin(πt²/2) dt, C likewise
+export function fresnel(xxa) {
+  const x = Math.abs(xxa);
+  const x2 = x * x;
+  let cc, ss;
+  if (x2 < 2.5625) {
+    const t = x2 * x2;
+    ss = x * x2 * polevl(t, SN) / p1evl(t, SD);
+    cc = x * polevl(t, CN) / polevl(t, CD);
+  } else if (x > 36974.0) {
+    cc = 0.5;
+    ss = 0.5;
+  } else {
+    let t = Math.PI * x2;
+    const u = 1.0 / (t * t);
+    t = 1.0 / t;
+    const f = 1.0 - u * polevl(u, FN) / p1evl(u, FD);
+    const g = t * polevl(u, GN) / p1evl(u, GD);
+    t = Math.PI * 0.5 * x2;
+    const c = Math.cos(t);
+    const s = Math.sin(t);
+    t = Math.PI * x;
+    cc = 0.5 + (f * s - g * c) / t;
+    ss = 0.5 - (f * c + g * s) / t;
+  }
+  if (xxa < 0.0) {
+    cc = -cc;
+    ss = -ss;
+  }
+  return [ss, cc];
+}
+
+// Spiral starting at the origin with heading 0 and curvature 0, curvature rate cDot (1/m²):
+// [x, y, tangent] at run length s
+export function odrSpiral(s, cDot) {
+  const a = Math.sqrt(Math.PI) / Math.sqrt(Math.abs(cDot));
+  const [fs, fc] = fresnel(s / a);
+  const x = fc * a;
+  const y = cDot < 0 ? -fs * a : fs * a;
+  return [x, y, s * s * cDot * 0.5];
+}
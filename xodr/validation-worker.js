@@ -0,0 +1,30 @@
+// Module worker: validates OpenDRIVE text against the bundled XSD off the main thread (see index.js).
+// in:  { type: 'validate', id, text }
+// out: { type: 'validation', id, issues }  validateOpenDrive() result
+//      { type: 'validation', id, error }    the schema could not be loaded
+
+import { loadSchema, validateOpenDrive } from './validator.js';
+
+let schemaPromise = null;
+function getSchema() {
+  if (!schemaPromise) {
+    schemaPromise = loadSchema((name) => fetch(new URL(`../xsd_schema/local_schema/${name}`, import.meta.url)).then((r) => {
+      if (!r.ok) throw new Error(`${name}: HTTP ${r.status}`);
+      return r.text();
+    }));
+    schemaPromise.catch(() => { schemaPromise = null; });
+  }
+  return schemaPromise;
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+  if (!msg || msg.type !== 'validate') return;
+  const { id } = msg;
+  try {
+    const schema = await getSchema();
+    self.postMessage({ type: 'validation', id, issues: validateOpenDrive(msg.text, schema) });
+  } catch (err) {
+    self.postMessage({ type: 'validation', id, error: err && err.message ? err.message : String(err) });
+  }
+};
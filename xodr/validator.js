@@ -0,0 +1,390 @@
+// OpenDRIVE schema validation against the bundled XSD (xsd_schema/local_schema, no namespace).
+// Implements the XSD subset those files use: named simple types (enumeration, pattern, numeric
+// bounds, union, list), complex types with extension, sequence/choice/group particles with
+// min/maxOccurs, xs:any (skipped), type alternatives on @type, and key/keyref on the root.
+// XSD 1.1 assertions are not evaluated. Schema and instance are read with the DOM-free parser in
+// xml.js, so validation also runs in workers (validation-worker.js) and headless.
+
+import { parseXml, lineColumnOf } from './xml.js';
+
+const MAX_ISSUES = 2000;
+
+// Load and compile the schema; loadFile(name) -> Promise<string> resolves xs:include targets
+export async function loadSchema(loadFile, entry = 'OpenDRIVE_Core.xsd') {
+  const docs = [];
+  const seen = new Set();
+  const queue = [entry];
+  while (queue.length) {
+    const name = queue.shift();
+    if (seen.has(name)) continue;
+    seen.add(name);
+    let doc;
+    try { doc = parseXml(await loadFile(name)); } catch (e) { throw new Error(`Schema parse error in ${name}: ${e.message}`); }
+    docs.push(doc);
+    for (const inc of elementsOf(doc.documentElement, 'include')) {
+      const loc = (inc.getAttribute('schemaLocation') || '').split('/').pop();
+      if (loc) queue.push(loc);
+    }
+  }
+  return compileSchema(docs);
+}
+
+// Validate XML text; returns [{ severity, message, path, line, roadId, junctionId }]
+export function validateOpenDrive(xmlText, schema) {
+  const issues = [];
+  let doc;
+  try { doc = parseXml(xmlText); } catch (e) {
+    issues.push({ severity: 'error', message: e.message, path: '', line: e.line });
+    return issues;
+  }
+  const where = lineColumnOf(xmlText);
+  const lineOf = (el) => (el.start == null ? undefined : where(el.start).line);
+  const report = (el, path, message, ctx) => {
+    if (issues.length >= MAX_ISSUES) return;
+    issues.push({ severity: 'error', message, path, line: lineOf(el), roadId: ctx.roadId, junctionId: ctx.junctionId });
+  };
+
+  const root = doc.documentElement;
+  const decl = schema.elements.get(root.localName);
+  if (!decl) {
+    report(root, `/${root.localName}`, `Unknown root element <${root.localName}>`, {});
+    return issues;
+  }
+  validateElement(schema, root, decl.type, `/${root.localName}`, {}, report);
+  checkKeys(schema, decl, root, report);
+  if (issues.length >= MAX_ISSUES) issues.push({ severity: 'warning', message: `Stopped after ${MAX_ISSUES} issues`, path: '', line: undefined });
+  return issues;
+}
+
+// ---- schema compilation ----
+
+function elementsOf(el, localName) {
+  const out = [];
+  for (const c of Array.from(el ? el.childNodes : [])) {
+    if (c.nodeType === 1 && (!localName || c.localName === localName)) out.push(c);
+  }
+  return out;
+}
+
+function occurs(el) {
+  const min = el.hasAttribute('minOccurs') ? Number(el.getAttribute('minOccurs')) : 1;
+  const maxRaw = el.getAttribute('maxOccurs');
+  const max = maxRaw === 'unbounded' ? Infinity : (maxRaw != null ? Number(maxRaw) : 1);
+  return { min, max };
+}
+
+function compileSchema(docs) {
+  const schema = { simpleTypes: new Map(), complexTypes: new Map(), groups: new Map(), elements: new Map(), effective: new Map() };
+  for (const doc of docs) {
+    for (const el of elementsOf(doc.documentElement)) {
+      const name = el.getAttribute('name');
+      if (el.localName === 'simpleType') schema.simpleTypes.set(name, compileSimpleType(el));
+      else if (el.localName === 'complexType') schema.complexTypes.set(name, compileComplexType(el));
+      else if (el.localName === 'group') schema.groups.set(name, compileParticle(elementsOf(el).find(c => c.localName !== 'annotation')));
+      else if (el.localName === 'element') schema.elements.set(name, compileRootElement(el));
+    }
+  }
+  return schema;
+}
+
+function compileSimpleType(el) {
+  const r = elementsOf(el, 'restriction')[0];
+  if (r) {
+    const facet = (n) => { const f = elementsOf(r, n)[0]; return f ? Number(f.getAttribute('value')) : undefined; };
+    return {
+      kind: 'restriction',
+      base: r.getAttribute('base') || 'xs:string',
+      enums: elementsOf(r, 'enumeration').map(e => e.getAttribute('value')),
+      patterns: elementsOf(r, 'pattern').map(p => new RegExp(`^(?:${p.getAttribute('value')})$`)),
+      minInclusive: facet('minInclusive'), maxInclusive: facet('maxInclusive'),
+      minExclusive: facet('minExclusive'), maxExclusive: facet('maxExclusive'),
+    };
+  }
+  const u = elementsOf(el, 'union')[0];
+  if (u) return { kind: 'union', members: (u.getAttribute('memberTypes') || '').trim().split(/\s+/).filter(Boolean) };
+  const l = elementsOf(el, 'list')[0];
+  if (l) return { kind: 'list', itemType: l.getAttribute('itemType') || 'xs:string' };
+  return { kind: 'restriction', base: 'xs:string', enums: [], patterns: [] };
+}
+
+function compileAttributes(el) {
+  return elementsOf(el, 'attribute').map(a => ({ name: a.getAttribute('name'), type: a.getAttribute('type') || 'xs:string', required: a.getAttribute('use') === 'required' }));
+}
+
+function compileComplexType(el) {
+  const ct = { abstract: el.getAttribute('abstract') === 'true', mixed: el.getAttribute('mixed') === 'true', base: null, content: null, attrs: compileAttributes(el) };
+  for (const c of elementsOf(el)) {
+    if (['sequence', 'choice', 'all', 'group'].includes(c.localName)) ct.content = compileParticle(c);
+    else if (c.localName === 'complexContent') {
+      const ext = elementsOf(c).find(x => x.localName === 'extension' || x.localName === 'restriction');
+      if (!ext) continue;
+      ct.base = ext.getAttribute('base');
+      ct.attrs.push(...compileAttributes(ext));
+      const model = elementsOf(ext).find(x => ['sequence', 'choice', 'all', 'group'].includes(x.localName));
+      if (model) ct.content = compileParticle(model);
+    }
+  }
+  return ct;
+}
+
+function compileParticle(el) {
+  if (!el) return null;
+  const { min, max } = occurs(el);
+  switch (el.localName) {
+    case 'element': {
+      const alternatives = elementsOf(el, 'alternative').map((a) => {
+        const m = /^@(\w+)\s*=\s*'([^']*)'$/.exec((a.getAttribute('test') || '').trim());
+        return { attr: m ? m[1] : null, value: m ? m[2] : null, type: a.getAttribute('type') };
+      });
+      // the 1.8 schema lists the abstract base as a required child of some types; it never occurs in files
+      const placeholder = el.getAttribute('type') === '_OpenDriveElement';
+      return { kind: 'element', name: el.getAttribute('name'), type: el.getAttribute('type'), alternatives, min: placeholder ? 0 : min, max };
+    }
+    case 'group': return { kind: 'group', ref: el.getAttribute('ref'), min, max };
+    case 'any': return { kind: 'any', min, max };
+    default: return { kind: el.localName, items: elementsOf(el).filter(c => c.localName !== 'annotation').map(compileParticle).filter(Boolean), min, max };
+  }
+}
+
+function compileRootElement(el) {
+  const inline = elementsOf(el, 'complexType')[0];
+  const typeName = el.getAttribute('type') || `#${el.getAttribute('name')}`;
+  const keyDef = (k) => ({
+    name: k.getAttribute('name'),
+    refer: k.getAttribute('refer'),
+    selector: (elementsOf(k, 'selector')[0]?.getAttribute('xpath') || '').split('/').filter(Boolean),
+    field: (elementsOf(k, 'field')[0]?.getAttribute('xpath') || '').replace(/^@/, ''),
+  });
+  return {
+    type: typeName,
+    inline: inline ? compileComplexType(inline) : null,
+    keys: elementsOf(el, 'key').map(keyDef),
+    keyrefs: elementsOf(el, 'keyref').map(keyDef),
+  };
+}
+
+// Complex type with its extension chain flattened: base content first, then the extension
+function effectiveType(schema, typeName) {
+  if (schema.effective.has(typeName)) return schema.effective.get(typeName);
+  let ct = schema.complexTypes.get(typeName);
+  if (!ct && typeName.startsWith('#')) ct = schema.elements.get(typeName.slice(1))?.inline;
+  if (!ct) return null;
+  let eff = { mixed: ct.mixed, attrs: ct.attrs.slice(), content: ct.content };
+  if (ct.base) {
+    const base = effectiveType(schema, ct.base);
+    if (base) {
+      const content = base.content && ct.content ? { kind: 'sequence', items: [base.content, ct.content], min: 1, max: 1 } : (ct.content || base.content);
+      eff = { mixed: ct.mixed || base.mixed, attrs: [...base.attrs, ...ct.attrs], content };
+    }
+  }
+  eff.decls = new Map();
+  collectDecls(schema, eff.content, eff.decls, new Set());
+  eff.hasAny = eff.decls.has('*');
+  schema.effective.set(typeName, eff);
+  return eff;
+}
+
+function collectDecls(schema, p, out, seenGroups) {
+  if (!p) return;
+  if (p.kind === 'element') { if (!out.has(p.name)) out.set(p.name, p); }
+  else if (p.kind === 'any') out.set('*', p);
+  else if (p.kind === 'group') {
+    if (seenGroups.has(p.ref)) return;
+    seenGroups.add(p.ref);
+    collectDecls(schema, schema.groups.get(p.ref), out, seenGroups);
+  } else for (const it of (p.items || [])) collectDecls(schema, it, out, seenGroups);
+}
+
+// ---- instance validation ----
+
+function validateElement(schema, el, typeName, path, ctx, report) {
+  if (typeName && typeName.startsWith('xs:')) {
+    const msg = checkValue(schema, typeName, el.textContent || '');
+    if (msg) report(el, path, `Content of <${el.localName}>: ${msg}`, ctx);
+    return;
+  }
+  const ct = effectiveType(schema, typeName);
+  if (!ct) {
+    if (!schema.simpleTypes.has(typeName)) report(el, path, `Unknown schema type ${typeName}`, ctx);
+    return;
+  }
+
+  // attributes
+  const declared = new Map(ct.attrs.map(a => [a.name, a]));
+  for (const attr of Array.from(el.attributes)) {
+    const name = attr.localName || attr.name;
+    if (attr.name === 'xmlns' || attr.name.startsWith('xmlns:') || attr.prefix === 'xsi') continue;
+    const a = declared.get(name);
+    if (!a) { report(el, path, `Attribute "${name}" is not allowed on <${el.localName}>`, ctx); continue; }
+    const msg = checkValue(schema, a.type, attr.value);
+    if (msg) report(el, path, `Attribute "${name}": ${msg}`, ctx);
+  }
+  for (const a of ct.attrs) {
+    if (a.required && !el.hasAttribute(a.name)) report(el, path, `Missing required attribute "${a.name}" on <${el.localName}>`, ctx);
+  }
+
+  // content model
+  const kids = elementsOf(el);
+  if (!ct.content) {
+    if (kids.length) report(kids[0], `${path}/${kids[0].localName}[1]`, `Element <${kids[0].localName}> is not allowed in <${el.localName}>`, ctx);
+    return;
+  }
+  const m = matchContent(schema, ct.content, kids);
+  if (!m.ok) {
+    const at = kids[m.furthest];
+    const expected = Array.from(m.expected.get(m.furthest) || []).sort();
+    const exp = expected.length ? `; expected ${expected.map(n => `<${n}>`).join(', ')}` : '';
+    const nth = at ? kids.slice(0, m.furthest + 1).filter(k => k.localName === at.localName).length : 0;
+    if (at) report(at, `${path}/${at.localName}[${nth}]`, `Unexpected <${at.localName}> in <${el.localName}>${exp}`, ctx);
+    else report(el, path, `Incomplete content of <${el.localName}>${exp}`, ctx);
+  }
+
+  // children
+  const counts = new Map();
+  for (const k of kids) {
+    const n = (counts.get(k.localName) || 0) + 1;
+    counts.set(k.localName, n);
+    const decl = ct.decls.get(k.localName);
+    if (!decl) continue; // reported by the content model, or skipped by xs:any
+    let type = decl.type;
+    for (const alt of decl.alternatives) {
+      if (!alt.attr || k.getAttribute(alt.attr) === alt.value) { type = alt.type; break; }
+    }
+    const kctx = { ...ctx };
+    if (k.localName === 'road' && (!el.parentNode || el.parentNode.nodeType === 9)) kctx.roadId = k.getAttribute('id') || undefined;
+    if (k.localName === 'junction' && (!el.parentNode || el.parentNode.nodeType === 9)) kctx.junctionId = k.getAttribute('id') || undefined;
+    validateElement(schema, k, type, `${path}/${k.localName}[${n}]`, kctx, report);
+  }
+}
+
+// Position-set matcher: every reachable end index for a particle, so no backtracking blow-up.
+// `furthest` and `expected` describe where matching stopped, for the error message.
+function matchContent(schema, content, kids) {
+  const expected = new Map();
+  let furthest = 0;
+  const expect = (i, name) => {
+    if (!expected.has(i)) expected.set(i, new Set());
+    expected.get(i).add(name);
+  };
+  function once(p, i) {
+    const out = new Set();
+    if (p.kind === 'element') {
+      if (kids[i] && kids[i].localName === p.name) { out.add(i + 1); furthest = Math.max(furthest, i + 1); }
+      else expect(i, p.name);
+    } else if (p.kind === 'any') {
+      if (kids[i]) { out.add(i + 1); furthest = Math.max(furthest, i + 1); }
+    } else if (p.kind === 'group') {
+      const g = schema.groups.get(p.ref);
+      if (g) for (const j of repeat(g, new Set([i]))) out.add(j);
+    } else if (p.kind === 'choice') {
+      for (const it of p.items) for (const j of repeat(it, new Set([i]))) out.add(j);
+    } else {
+      // sequence / all (all is treated as a sequence; the bundled schema does not use it)
+      let cur = new Set([i]);
+      for (const it of p.items) { cur = repeat(it, cur); if (!cur.size) break; }
+      for (const j of cur) out.add(j);
+    }
+    return out;
+  }
+  function repeat(p, starts) {
+    const result = new Set();
+    let cur = starts;
+    for (let count = 0; count <= kids.length + p.min + 1; count++) {
+      if (count >= p.min) for (const j of cur) result.add(j);
+      if (count >= p.max || !cur.size) break;
+      const next = new Set();
+      for (const i of cur) for (const j of once(p, i)) next.add(j);
+      // once the minimum is met, only new positions can extend the match
+      cur = count + 1 >= p.min ? new Set(Array.from(next).filter(j => !result.has(j))) : next;
+    }
+    return result;
+  }
+  const ends = repeat(content, new Set([0]));
+  return { ok: ends.has(kids.length), furthest, expected };
+}
+
+const NUMBER_RE = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$|^(INF|-INF|NaN)$/;
+const INTEGER_RE = /^[+-]?\d+$/;
+
+// Error text for an invalid value, or null
+function checkValue(schema, typeName, raw) {
+  const value = String(raw);
+  switch (typeName) {
+    case 'xs:string': return null;
+    case 'xs:double': case 'xs:float': case 'xs:decimal':
+      return NUMBER_RE.test(value.trim()) ? null : `"${value}" is not a number`;
+    case 'xs:integer': case 'xs:int': case 'xs:nonNegativeInteger': case 'xs:positiveInteger': case 'xs:negativeInteger': {
+      const v = value.trim();
+      if (!INTEGER_RE.test(v)) return `"${value}" is not an integer`;
+      const n = Number(v);
+      if (typeName === 'xs:nonNegativeInteger' && n < 0) return `"${value}" must be >= 0`;
+      if (typeName === 'xs:positiveInteger' && n <= 0) return `"${value}" must be > 0`;
+      if (typeName === 'xs:negativeInteger' && n >= 0) return `"${value}" must be < 0`;
+      if (typeName === 'xs:int' && (n < -2147483648 || n > 2147483647)) return `"${value}" is out of int range`;
+      return null;
+    }
+  }
+  if (typeName.startsWith('xs:')) return null;
+  const st = schema.simpleTypes.get(typeName);
+  if (!st) return null;
+  if (st.kind === 'union') {
+    return st.members.some(m => !checkValue(schema, m, value)) ? null : `"${value}" is not a valid ${typeName}`;
+  }
+  if (st.kind === 'list') {
+    const bad = value.trim().split(/\s+/).filter(Boolean).find(v => checkValue(schema, st.itemType, v));
+    return bad != null ? `"${bad}" is not a valid item of ${typeName}` : null;
+  }
+  const baseMsg = checkValue(schema, st.base, value);
+  if (baseMsg) return baseMsg;
+  if (st.enums.length && !st.enums.includes(value.trim())) return `"${value}" is not one of ${typeName} (${st.enums.slice(0, 8).join(', ')}${st.enums.length > 8 ? ', …' : ''})`;
+  if (st.patterns.length && !st.patterns.some(re => re.test(value))) return `"${value}" does not match ${typeName}`;
+  const n = Number(value);
+  if (st.minInclusive != null && !(n >= st.minInclusive)) return `${value} must be >= ${st.minInclusive}`;
+  if (st.maxInclusive != null && !(n <= st.maxInclusive)) return `${value} must be <= ${st.maxInclusive}`;
+  if (st.minExclusive != null && !(n > st.minExclusive)) return `${value} must be > ${st.minExclusive}`;
+  if (st.maxExclusive != null && !(n < st.maxExclusive)) return `${value} must be < ${st.maxExclusive}`;
+  return null;
+}
+
+// xs:key (unique + present) and xs:keyref (value exists in the referred key) on the root element
+function checkKeys(schema, decl, root, report) {
+  const select = (steps) => {
+    let cur = [{ el: root, path: `/${root.localName}`, ctx: {} }];
+    for (const step of steps) {
+      const next = [];
+      for (const c of cur) {
+        const counts = new Map();
+        for (const k of elementsOf(c.el)) {
+          const n = (counts.get(k.localName) || 0) + 1;
+          counts.set(k.localName, n);
+          if (k.localName !== step) continue;
+          const ctx = { ...c.ctx };
+          if (c.el === root && step === 'road') ctx.roadId = k.getAttribute('id') || undefined;
+          if (c.el === root && step === 'junction') ctx.junctionId = k.getAttribute('id') || undefined;
+          next.push({ el: k, path: `${c.path}/${step}[${n}]`, ctx });
+        }
+      }
+      cur = next;
+    }
+    return cur;
+  };
+  const keyValues = new Map();
+  for (const key of decl.keys) {
+    const values = new Set();
+    for (const hit of select(key.selector)) {
+      const v = hit.el.getAttribute(key.field);
+      if (v == null) { report(hit.el, hit.path, `Key ${key.name}: missing @${key.field}`, hit.ctx); continue; }
+      if (values.has(v)) report(hit.el, hit.path, `Key ${key.name}: duplicate value "${v}"`, hit.ctx);
+      values.add(v);
+    }
+    keyValues.set(key.name, values);
+  }
+  for (const ref of decl.keyrefs) {
+    const values = keyValues.get(ref.refer);
+    if (!values) continue;
+    for (const hit of select(ref.selector)) {
+      const v = hit.el.getAttribute(ref.field);
+      if (v != null && !values.has(v)) report(hit.el, hit.path, `Reference ${ref.name}: "${v}" not found in ${ref.refer}`, hit.ctx);
+    }
+  }
+}
@@ -0,0 +1,96 @@
+// Module worker: parses OpenDRIVE text and builds map geometry off the main thread (see index.js).
+// in:  { type: 'load', id, text, opts, origin }  opts: quality options, origin: fallback [lng, lat]
+//      { type: 'cancel', id }  stop that load at its next batch; a newer load also replaces it
+// out: { type: 'progress', id, phase: 'parse'|'build', done, total }
+//      { type: 'roads', id, parts }  batches of buildRoadGeometry results, in road order
+//      { type: 'done', id, model, issues, intersection, bounds, editorAxes, recovered }  model without DOM nodes;
+//        recovered: the text had XML errors (model.source.recovered)
+//      { type: 'error', id, message }
+
+// same package versions as the page's <script> tags in index.html
+import proj4 from 'https://cdn.jsdelivr.net/npm/proj4@2.15.0/+esm';
+import * as turf from 'https://cdn.jsdelivr.net/npm/@turf/turf@7.4.0/+esm';
+import { parseOpenDrive } from './opendrive.js';
+import { createBuildContext, createGeometryCache, buildRoadGeometry, buildIssueCollection, buildJunctionSurfaces, geometryBounds } from './build.js';
+import { makeGeoTransform } from './georef.js';
+
+// georef.js and build.js use the page-global proj4 and turf
+globalThis.proj4 = proj4;
+globalThis.turf = turf;
+
+const BATCH_MS = 100;
+
+// Road geometry survives between loads (quality switches, re-imports, edits) while the worker lives;
+// the fallback origin is fixed for the page, so one cache fits all messages
+const cache = createGeometryCache();
+
+// id of the load being built; the build yields between batches so cancel and newer loads get through
+let activeId = null;
+const yieldToMessages = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+  if (!msg) return;
+  if (msg.type === 'cancel') {
+    if (msg.id === activeId) activeId = null;
+    return;
+  }
+  if (msg.type !== 'load') return;
+  const { id } = msg;
+  activeId = id;
+  try {
+    self.postMessage({ type: 'progress', id, phase: 'parse', done: 0, total: 1 });
+    const model = parseOpenDrive(msg.text);
+    const geo = makeGeoTransform(model.header, msg.origin);
+    const projector = ([x, y]) => geo.toLngLat([x, y]);
+    const ctx = createBuildContext(model, projector, msg.opts, cache);
+
+    const total = model.roads.length;
+    const parts = [];
+    let batch = [];
+    let last = Date.now();
+    const flush = (done) => {
+      if (batch.length) self.postMessage({ type: 'roads', id, parts: batch });
+      self.postMessage({ type: 'progress', id, phase: 'build', done, total });
+      batch = [];
+      last = Date.now();
+    };
+    for (let i = 0; i < total; i++) {
+      const part = buildRoadGeometry(model.roads[i], ctx);
+      parts.push(part);
+      if (part) batch.push(part);
+      if (Date.now() - last > BATCH_MS) {
+        flush(i + 1);
+        await yieldToMessages();
+        if (activeId !== id) return;
+      }
+    }
+    flush(total);
+
+    const issues = buildIssueCollection(model, projector);
+    const intersection = buildJunctionSurfaces(model, parts);
+    const bounds = geometryBounds(parts, projector);
+    const axesNode = model.source.doc.querySelector('OpenDRIVE > userData > editorAxes');
+    const editorAxes = axesNode ? (axesNode.textContent || '').trim() : null;
+    const recovered = !!model.source.recovered;
+    if (activeId === id) activeId = null;
+    self.postMessage({ type: 'done', id, model: detachNodes(model), issues, intersection, bounds, editorAxes, recovered });
+  } catch (err) {
+    if (activeId === id) activeId = null;
+    self.postMessage({ type: 'error', id, message: err && err.message ? err.message : String(err) });
+  }
+};
+
+// Parsed trees do not cross postMessage; the writer re-attaches DOM nodes when it needs them.
+// The source text stays with the caller.
+function detachNodes(model) {
+  for (const road of model.roads) {
+    delete road.node;
+    for (const sec of (road.laneSections || [])) {
+      for (const ln of [...(sec.left || []), ...(sec.center || []), ...(sec.right || [])]) delete ln.node;
+    }
+  }
+  for (const j of model.junctions) delete j.node;
+  delete model.source;
+  return model;
+}
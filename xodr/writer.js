@@ -0,0 +1,297 @@
+// OpenDRIVE (.xodr) writer: round-trips the text the model was parsed from.
+// Roads and junctions keep their DOM node (`node`) and source offsets (`span`); unknown elements
+// (userData, vendor extensions) stay on the node. Unmodified records are copied byte-for-byte,
+// modified ones are written back to their node and re-serialized in place. Road records without a
+// span (added by the editor) are written after the last road; `removed` ones are cut out.
+
+import { parseOpenDrive } from './opendrive.js';
+
+// Flag a road or junction as edited (lane edits: flag the owning road)
+export function markModified(record) {
+  if (record) record.modified = true;
+  return record;
+}
+
+export function serializeOpenDrive(model) {
+  const src = model && model.source;
+  if (!src || typeof src.text !== 'string') return '';
+  const records = [...(model.roads || []), ...(model.junctions || [])];
+  // a file recovered from XML errors has no reliable element spans to splice into
+  if (src.recovered || !records.some(r => r && r.modified)) return src.text;
+  const dirty = records.filter(r => r && r.modified);
+  if (dirty.some(r => !r.removed && !r.node && r.span)) attachNodes(model);
+
+  const ser = new XMLSerializer();
+  const rootNs = src.doc && src.doc.documentElement ? src.doc.documentElement.namespaceURI : null;
+  let text = src.text;
+  const lastRoad = (model.roads || []).filter(r => r && r.span).pop();
+  const close = text.lastIndexOf('</OpenDRIVE>');
+  const appendAt = lastRoad ? lastRoad.span[1] : close >= 0 ? close : text.length;
+  const indent = lastRoad ? lineIndent(text, lastRoad.span[0]) : '    ';
+  for (const rec of dirty) {
+    if (!rec.removed && !rec.node && !rec.span && rec.laneSections) {
+      if (!src.doc) attachNodes(model);
+      createRoadNode(src.doc, rec, indent);
+    }
+  }
+  const edits = [];
+  for (const rec of dirty) {
+    if (rec.removed) {
+      if (!rec.span) continue;
+      // take the road's own line with it
+      const lead = lineIndent(text, rec.span[0]).length;
+      edits.push([text[rec.span[0] - lead - 1] === '\n' ? rec.span[0] - lead - 1 : rec.span[0], rec.span[1], '']);
+      continue;
+    }
+    if (!rec.node) continue;
+    if (rec.laneSections) syncRoad(rec); else syncJunction(rec);
+    let xml = ser.serializeToString(rec.node);
+    // the serializer repeats the root's default namespace on the detached subtree
+    if (rootNs) xml = xml.replace(` xmlns="${rootNs}"`, '');
+    if (rec.span) edits.push([rec.span[0], rec.span[1], xml]);
+    else edits.push([appendAt, appendAt, lastRoad ? `\n${indent}${xml}` : `${indent}${xml}\n`]);
+  }
+  // splice from the end so earlier offsets stay valid; records added at the same offset keep their order
+  edits.forEach((e, i) => e.push(i));
+  edits.sort((a, b) => (b[0] - a[0]) || (b[3] - a[3]));
+  for (const [a, b, xml] of edits) text = text.slice(0, a) + xml + text.slice(b);
+  return text;
+}
+
+// Spaces between the line break before `at` and `at` ('' if other text precedes it on that line)
+function lineIndent(text, at) {
+  const nl = text.lastIndexOf('\n', at - 1);
+  const lead = text.slice(nl + 1, at);
+  return /^[ \t]*$/.test(lead) ? lead : '';
+}
+
+// Models built in the worker (worker.js) come without DOM nodes: re-read the source and attach
+// nodes to the modified records by position, which matches as long as the lists were not reordered
+function attachNodes(model) {
+  const parsed = parseOpenDrive(model.source.text);
+  model.source.doc = parsed.source.doc;
+  (model.roads || []).forEach((road, i) => {
+    const other = parsed.roads[i];
+    if (!road.modified || !other || other.id !== road.id) return;
+    road.node = other.node;
+    (road.laneSections || []).forEach((sec, si) => {
+      for (const side of ['left', 'center', 'right']) {
+        (sec[side] || []).forEach((ln, li) => {
+          const o = other.laneSections[si]?.[side]?.[li];
+          if (o && o.id === ln.id) ln.node = o.node;
+        });
+      }
+    });
+  });
+  (model.junctions || []).forEach((j, i) => {
+    const other = parsed.junctions[i];
+    if (j.modified && other && other.id === j.id) j.node = other.node;
+  });
+}
+
+// Element skeleton for a road the source did not have: <road> with its lane sections and lanes
+// (ids only); syncRoad fills in the rest. It is built in a detached fragment behind `indent`, so
+// children are laid out like those of the other roads without touching the source document.
+function createRoadNode(doc, road, indent) {
+  const frag = doc.createDocumentFragment();
+  frag.appendChild(doc.createTextNode(`\n${indent}`));
+  road.node = frag.appendChild(doc.createElementNS(doc.documentElement.namespaceURI, 'road'));
+  road.node.setAttribute('name', road.name || '');
+  road.node.setAttribute('length', road.length);
+  road.node.setAttribute('id', road.id);
+  road.node.setAttribute('junction', road.junction || '-1');
+  addElement(road.node, 'planView');
+  const lanes = addElement(road.node, 'lanes');
+  for (const sec of (road.laneSections || [])) {
+    const el = addElement(lanes, 'laneSection');
+    for (const side of ['left', 'center', 'right']) {
+      if (!(sec[side] || []).length) continue;
+      const group = addElement(el, side);
+      for (const ln of sec[side]) {
+        ln.node = addElement(group, 'lane');
+        ln.node.setAttribute('id', ln.id);
+      }
+    }
+  }
+  return road.node;
+}
+
+// Write model fields back to the node; attributes whose value did not change are left as written
+function syncRoad(road) {
+  const node = road.node;
+  setAttr(node, 'name', road.name);
+  setAttr(node, 'length', road.length);
+  // the parser fills in '-1' and 'RHT' when the attribute is missing: keep leaving them out
+  if (road.junction !== '-1' || node.hasAttribute('junction')) setAttr(node, 'junction', road.junction);
+  if (road.rule !== 'RHT' || node.hasAttribute('rule')) setAttr(node, 'rule', road.rule);
+
+  let link = childElement(node, 'link');
+  if (!link && (road.predecessor || road.successor)) link = addElement(node, 'link', firstElement(node));
+  if (link) {
+    syncRoadLink(link, 'predecessor', road.predecessor);
+    syncRoadLink(link, 'successor', road.successor);
+  }
+
+  const planView = childElement(node, 'planView') || addElement(node, 'planView');
+  syncPlanView(planView, road.planView || []);
+
+  const lanes = childElement(node, 'lanes');
+  const sections = lanes ? childElements(lanes, 'laneSection') : [];
+  (road.laneSections || []).forEach((sec, i) => {
+    if (sections[i]) setAttr(sections[i], 's', sec.s);
+    for (const ln of [...(sec.left || []), ...(sec.center || []), ...(sec.right || [])]) {
+      if (ln.node) syncLane(ln);
+    }
+  });
+}
+
+function syncRoadLink(link, tag, rec) {
+  let el = childElement(link, tag);
+  if (!rec) {
+    if (el) removeElement(el);
+    return;
+  }
+  if (!el) el = addElement(link, tag, tag === 'predecessor' ? childElement(link, 'successor') : null);
+  setAttr(el, 'elementType', rec.elementType);
+  setAttr(el, 'elementId', rec.elementId);
+  setAttr(el, 'contactPoint', rec.contactPoint);
+}
+
+const GEOMETRY_PARAMS = {
+  line: [],
+  arc: ['curvature'],
+  spiral: ['curvStart', 'curvEnd'],
+  poly3: ['a', 'b', 'c', 'd'],
+  paramPoly3: ['aU', 'bU', 'cU', 'dU', 'aV', 'bV', 'cV', 'dV'],
+};
+
+// Geometries are updated in place while their count matches the model (a <geometry> whose primitive the
+// parser skipped is not counted and stays); a planView with a different count is written anew
+function syncPlanView(planView, geoms) {
+  let els = childElements(planView, 'geometry').filter(primitiveOf);
+  if (els.length !== geoms.length) {
+    childElements(planView, 'geometry').forEach(removeElement);
+    els = geoms.map(() => addElement(planView, 'geometry'));
+  }
+  geoms.forEach((g, i) => {
+    const el = els[i];
+    for (const k of ['s', 'x', 'y', 'hdg', 'length']) setAttr(el, k, g[k]);
+    let prim = primitiveOf(el);
+    if (prim && prim.localName !== g.type) {
+      removeElement(prim);
+      prim = null;
+    }
+    if (!prim) prim = addElement(el, g.type);
+    for (const k of GEOMETRY_PARAMS[g.type] || []) {
+      // older files spell the spiral curvatures out
+      const name = g.type === 'spiral' && prim.hasAttribute(k.replace('curv', 'curvature')) ? k.replace('curv', 'curvature') : k;
+      setAttr(prim, name, g[k]);
+    }
+    if (g.type === 'paramPoly3') {
+      const at = !prim.hasAttribute('pRange') && el.hasAttribute('pRange') ? el : prim;
+      if (g.pRange !== 'normalized' || at.hasAttribute('pRange')) setAttr(at, 'pRange', g.pRange);
+    }
+  });
+}
+
+function primitiveOf(geometry) {
+  return [...geometry.children].find(c => GEOMETRY_PARAMS[c.localName]) || null;
+}
+
+function syncLane(ln) {
+  const node = ln.node;
+  setAttr(node, 'type', ln.type);
+  if (ln.level || node.hasAttribute('level')) setAttr(node, 'level', ln.level ? 'true' : 'false');
+  let link = childElement(node, 'link');
+  if (!link && (ln.predecessor != null || ln.successor != null)) link = addElement(node, 'link', firstElement(node));
+  if (link) {
+    for (const tag of ['predecessor', 'successor']) {
+      let el = childElement(link, tag);
+      if (ln[tag] == null) {
+        if (el) removeElement(el);
+        continue;
+      }
+      if (!el) el = addElement(link, tag, tag === 'predecessor' ? childElement(link, 'successor') : null);
+      setAttr(el, 'id', ln[tag]);
+    }
+  }
+  // <width> records are read in document order; a lane described by <border> has none
+  const widths = ln.widths || [];
+  let els = childElements(node, 'width');
+  if (els.length !== widths.length) {
+    const before = els.length ? els[els.length - 1].nextElementSibling : [...node.children].find(c => c.localName !== 'link') || null;
+    els.forEach(removeElement);
+    els = widths.map(() => addElement(node, 'width', before));
+  }
+  widths.forEach((w, i) => {
+    for (const k of ['sOffset', 'a', 'b', 'c', 'd']) setAttr(els[i], k, w[k]);
+  });
+}
+
+function syncJunction(junction) {
+  setAttr(junction.node, 'name', junction.name);
+  if (junction.type !== 'default' || junction.node.hasAttribute('type')) setAttr(junction.node, 'type', junction.type);
+}
+
+function setAttr(node, name, value) {
+  if (!node || value == null || (typeof value === 'number' && !Number.isFinite(value))) return;
+  const cur = node.getAttribute(name);
+  if (cur != null && (cur === String(value) || (typeof value === 'number' && Number(cur) === value))) return;
+  if (cur == null && value === '') return;
+  node.setAttribute(name, String(value));
+}
+
+function childElements(node, name) {
+  return [...node.children].filter(c => c.localName === name);
+}
+
+function childElement(node, name) {
+  return childElements(node, name)[0] || null;
+}
+
+function firstElement(node) {
+  return node.children[0] || null;
+}
+
+// Indentation of an element: the spaces after the last line break of the text before it
+function indentOf(el) {
+  const prev = el && el.previousSibling;
+  if (!prev || prev.nodeType !== 3 || prev.nodeValue.trim()) return null;
+  const t = prev.nodeValue;
+  return t.includes('\n') ? t.slice(t.lastIndexOf('\n') + 1) : null;
+}
+
+// New child element (before `before`, else last), laid out like its siblings or one step in from its parent
+function addElement(parent, name, before = null) {
+  const doc = parent.ownerDocument;
+  const el = doc.createElementNS(parent.namespaceURI, name);
+  const own = indentOf(parent);
+  const sibling = firstElement(parent);
+  const indent = sibling ? indentOf(sibling) : own != null ? own + (own.slice(indentOf(parent.parentNode)?.length || 0) || '    ') : null;
+  if (indent == null) {
+    parent.insertBefore(el, before);
+    return el;
+  }
+  if (before) {
+    parent.insertBefore(el, before);
+    parent.insertBefore(doc.createTextNode(`\n${indent}`), before);
+    return el;
+  }
+  const last = parent.lastChild;
+  if (last && last.nodeType === 3 && !last.nodeValue.trim()) {
+    parent.insertBefore(doc.createTextNode(`\n${indent}`), last);
+    parent.insertBefore(el, last);
+  } else {
+    parent.appendChild(doc.createTextNode(`\n${indent}`));
+    parent.appendChild(el);
+    parent.appendChild(doc.createTextNode(`\n${own ?? ''}`));
+  }
+  return el;
+}
+
+// Remove an element together with the indentation in front of it
+function removeElement(el) {
+  const prev = el.previousSibling;
+  if (prev && prev.nodeType === 3 && !prev.nodeValue.trim()) prev.remove();
+  el.remove();
+}
@@ -0,0 +1,292 @@
+// Small non-validating XML parser for contexts without DOMParser (Web Workers).
+// Produces a read-only tree with the subset of the DOM API the OpenDRIVE parser and the schema
+// validator use: getAttribute/hasAttribute/attributes, localName/tagName, children, textContent and
+// querySelector(All) with tag names joined by ' ' or '>', an optional leading ':scope' and ',' groups.
+// Elements also carry `start`, the source offset of their start tag.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+class XmlElement {
+  constructor(tagName, attrs, parent, order, start) {
+    this.nodeType = 1;
+    this.tagName = tagName;
+    this.nodeName = tagName;
+    const colon = tagName.indexOf(':');
+    this.localName = colon >= 0 ? tagName.slice(colon + 1) : tagName;
+    this.attrs = attrs;
+    this.parentNode = parent;
+    this.children = [];
+    this.childNodes = []; // elements and text strings in order
+    this.order = order;
+    this.start = start;
+  }
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attrs, name) ? this.attrs[name] : null;
+  }
+  hasAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attrs, name);
+  }
+  // [{ name, localName, prefix, value }] like Element.attributes
+  get attributes() {
+    return Object.keys(this.attrs).map((name) => {
+      const colon = name.indexOf(':');
+      return { name, localName: colon >= 0 ? name.slice(colon + 1) : name, prefix: colon >= 0 ? name.slice(0, colon) : null, value: this.attrs[name] };
+    });
+  }
+  get textContent() {
+    let out = '';
+    for (const c of this.childNodes) out += typeof c === 'string' ? c : c.textContent;
+    return out;
+  }
+  querySelectorAll(selector) {
+    return select(this, selector, false);
+  }
+  querySelector(selector) {
+    return select(this, selector, true)[0] || null;
+  }
+}
+
+class XmlDocument {
+  constructor(root) {
+    this.nodeType = 9;
+    this.documentElement = root;
+    this.children = root ? [root] : [];
+  }
+  querySelectorAll(selector) {
+    return select(this, selector, false);
+  }
+  querySelector(selector) {
+    return select(this, selector, true)[0] || null;
+  }
+}
+
+// Throws on the first error unless `onError` is given: then recoverable errors are reported as
+// { message, line, column, offset } and parsing goes on (stray end tags dropped, unclosed elements
+// closed, bad attributes skipped); only a missing root element still throws.
+export function parseXml(text, { onError } = {}) {
+  let i = 0;
+  let order = 0;
+  let root = null;
+  let cur = null;
+  const n = text.length;
+  let where = null;
+  const fatal = (msg, at = i) => {
+    const { line, column } = (where ||= lineColumnOf(text))(at);
+    const err = new Error(`XML parse error: ${msg} at line ${line}, column ${column}`);
+    err.line = line;
+    err.column = column;
+    throw err;
+  };
+  const fail = (msg, at = i) => {
+    if (!onError) fatal(msg, at);
+    const { line, column } = (where ||= lineColumnOf(text))(at);
+    onError({ message: msg, line, column, offset: at });
+  };
+  // entity and character references; a stray '&' or an unknown name is reported and kept as written
+  const decode = (str, at) => {
+    if (str.indexOf('&') < 0) return str;
+    return str.replace(/&(?:(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z_][\w.-]*);)?/g, (m, e, k) => {
+      if (!e) { fail("'&' is not the start of a reference (write &amp;)", at + k); return m; }
+      if (e[0] === '#') {
+        const cp = e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+        if (cp > 0 && cp <= 0x10ffff) return String.fromCodePoint(cp);
+        fail(`invalid character reference ${m}`, at + k);
+        return m;
+      }
+      if (Object.prototype.hasOwnProperty.call(ENTITIES, e)) return ENTITIES[e];
+      fail(`undefined entity ${m}`, at + k);
+      return m;
+    });
+  };
+  // text up to `token`; null (reported) when it never comes
+  const skipTo = (token, what) => {
+    const end = text.indexOf(token, i);
+    if (end < 0) { fail(`unterminated ${what}`); i = n; return null; }
+    const body = text.slice(i, end);
+    i = end + token.length;
+    return body;
+  };
+
+  while (i < n) {
+    const lt = text.indexOf('<', i);
+    if (lt < 0 || lt > i) {
+      const chunk = text.slice(i, lt < 0 ? n : lt);
+      if (cur) cur.childNodes.push(decode(chunk, i));
+      else if (chunk.trim()) fail('text outside the root element', i + chunk.search(/\S/));
+      i = lt < 0 ? n : lt;
+      continue;
+    }
+    if (text.startsWith('<!--', i)) { i += 4; skipTo('-->', 'comment'); continue; }
+    if (text.startsWith('<![CDATA[', i)) {
+      i += 9;
+      const body = skipTo(']]>', 'CDATA section');
+      if (body == null) break;
+      if (cur) cur.childNodes.push(body);
+      else fail('CDATA outside the root element');
+      continue;
+    }
+    if (text.startsWith('<?', i)) { i += 2; skipTo('?>', 'processing instruction'); continue; }
+    if (text.startsWith('<!', i)) {
+      // DOCTYPE, possibly with an internal subset
+      let depth = 0;
+      for (i += 2; i < n; i++) {
+        const ch = text[i];
+        if (ch === '[') depth++;
+        else if (ch === ']') depth--;
+        else if (ch === '>' && depth <= 0) break;
+      }
+      if (i >= n) { fail('unterminated declaration'); break; }
+      i++;
+      continue;
+    }
+    if (text[i + 1] === '/') {
+      const start = i;
+      i += 2;
+      const body = skipTo('>', 'end tag');
+      if (body == null) break;
+      const name = body.trim();
+      if (!cur) { fail(`unexpected </${name}>`, start); continue; }
+      if (name !== cur.tagName) {
+        // close up to a matching ancestor, or drop the stray end tag
+        let open = cur;
+        while (open && open.tagName !== name) open = open.parentNode instanceof XmlElement ? open.parentNode : null;
+        fail(`expected </${cur.tagName}> but found </${name}>`, start);
+        if (!open) continue;
+        cur = open;
+      }
+      cur = cur.parentNode instanceof XmlElement ? cur.parentNode : null;
+      continue;
+    }
+    // start tag
+    const start = i;
+    i++;
+    const nameMatch = /^[^\s/>]+/.exec(text.slice(i, i + 256));
+    if (!nameMatch) { fail('invalid tag name'); i = start + 1; continue; }
+    const tagName = nameMatch[0];
+    i += tagName.length;
+    const attrs = {};
+    let selfClosing = false;
+    let complete = false;
+    while (i < n) {
+      while (i < n && /\s/.test(text[i])) i++;
+      if (i >= n) break;
+      if (text[i] === '>') { i++; complete = true; break; }
+      if (text[i] === '/' && text[i + 1] === '>') { i += 2; selfClosing = true; complete = true; break; }
+      const attrAt = i;
+      const attrName = /^[^\s=/>]*/.exec(text.slice(i, i + 256))[0];
+      if (!attrName) { fail(`malformed attribute in <${tagName}>`); i++; continue; }
+      i += attrName.length;
+      while (i < n && /\s/.test(text[i])) i++;
+      if (text[i] !== '=') { fail(`attribute "${attrName}" has no value`, attrAt); continue; }
+      i++;
+      while (i < n && /\s/.test(text[i])) i++;
+      let value;
+      let valueAt = i;
+      const quote = text[i];
+      if (quote === '"' || quote === "'") {
+        const close = text.indexOf(quote, i + 1);
+        if (close < 0) { fail(`unterminated value for attribute "${attrName}"`, attrAt); i = n; break; }
+        value = text.slice(i + 1, close);
+        valueAt = i + 1;
+        i = close + 1;
+      } else {
+        fail(`unquoted value for attribute "${attrName}"`, attrAt);
+        value = /^[^\s>]*/.exec(text.slice(i, i + 1024))[0].replace(/\/$/, '');
+        i += value.length;
+      }
+      if (Object.prototype.hasOwnProperty.call(attrs, attrName)) fail(`duplicate attribute "${attrName}"`, attrAt);
+      else attrs[attrName] = decode(value, valueAt);
+    }
+    if (!complete) { fail(`unterminated <${tagName}>`, start); break; }
+    const extra = !cur && root;
+    if (extra) fail('multiple root elements', start);
+    const el = new XmlElement(tagName, attrs, cur, order++, start);
+    if (cur) { cur.children.push(el); cur.childNodes.push(el); }
+    else if (!root) root = el;
+    // an extra root is parsed detached: its subtree is dropped
+    if (!selfClosing) cur = el;
+  }
+  if (cur) fail(`unclosed <${cur.tagName}>`, cur.start);
+  if (!root) fatal('no root element', 0);
+  const doc = new XmlDocument(root);
+  root.parentNode = doc;
+  return doc;
+}
+
+// Source offsets of all start tags, in document order (= element order of any parser's tree)
+export function startTagOffsets(text) {
+  const out = [];
+  let i = text.indexOf('<');
+  while (i >= 0) {
+    let end;
+    if (text.startsWith('<!--', i)) end = text.indexOf('-->', i) + 3;
+    else if (text.startsWith('<![CDATA[', i)) end = text.indexOf(']]>', i) + 3;
+    else if (text.startsWith('<?', i) || text.startsWith('<!', i)) end = text.indexOf('>', i) + 1;
+    else {
+      let j = i + 1, quote = null;
+      for (; j < text.length; j++) {
+        const ch = text[j];
+        if (quote) { if (ch === quote) quote = null; }
+        else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '>') break;
+      }
+      end = j + 1;
+      if (text[i + 1] !== '/') out.push(i);
+    }
+    if (end <= i) break;
+    i = text.indexOf('<', end);
+  }
+  return out;
+}
+
+// offset -> { line, column } (both 1-based)
+export function lineColumnOf(text) {
+  const starts = [0];
+  for (let k = text.indexOf('\n'); k >= 0; k = text.indexOf('\n', k + 1)) starts.push(k + 1);
+  return (offset) => {
+    let lo = 0, hi = starts.length - 1;
+    while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (starts[mid] <= offset) lo = mid; else hi = mid - 1; }
+    return { line: lo + 1, column: offset - starts[lo] + 1 };
+  };
+}
+
+// Evaluate each comma group left to right from the context node; results in document order
+function select(ctx, selector, first) {
+  const groups = selector.split(',').map(parseSelector);
+  const seen = new Set();
+  const out = [];
+  for (const steps of groups) {
+    let set = [ctx];
+    for (const step of steps) {
+      const next = [];
+      for (const node of set) {
+        if (step.child) { for (const c of node.children) if (c.tagName === step.name) next.push(c); }
+        else collectDescendants(node, step.name, next);
+      }
+      set = next;
+    }
+    for (const el of set) if (!seen.has(el)) { seen.add(el); out.push(el); }
+  }
+  out.sort((a, b) => a.order - b.order);
+  return first ? out.slice(0, 1) : out;
+}
+
+function parseSelector(group) {
+  const tokens = group.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+  const steps = [];
+  let child = false;
+  for (const tok of tokens) {
+    if (tok === ':scope') { child = false; continue; }
+    if (tok === '>') { child = true; continue; }
+    steps.push({ name: tok, child });
+    child = false;
+  }
+  return steps;
+}
+
+function collectDescendants(node, name, out) {
+  for (const c of node.children) {
+    if (c.tagName === name) out.push(c);
+    collectDescendants(c, name, out);
+  }
+}